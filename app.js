@@ -1,15 +1,52 @@
 const createProxyMiddleware = require('http-proxy-middleware').createProxyMiddleware;
 const express = require('express');
 const Path = require('path');
+const config = require('./config');
 const app = express();
-const port = 3000;
+const port = config.port;
 
 const allowedPaths = ['/posts', '/users', '/privacy', '/terms'];
 
+/**
+ * 개발용 실시간 이벤트 스텁
+ * 프록시보다 먼저 등록해야 /api/posts/:postId/events 요청을 가로챌 수 있음
+ */
+if (config.liveEventsStub) {
+    const { streamRouter, publishRouter } = require('./devLiveEvents');
+    app.use(config.apiBasePath, streamRouter);
+    app.use('/dev', publishRouter);
+}
+
+/**
+ * 백엔드 API 프록시
+ * 브라우저의 /api/* 요청을 API_TARGET으로 전달 (/api 접두사는 제거됨)
+ */
+app.use(
+    config.apiBasePath,
+    createProxyMiddleware({
+        target: config.apiTarget,
+        changeOrigin: true,
+    })
+);
+
+/**
+ * 브라우저용 설정 모듈
+ * 클라이언트 코드는 이 모듈에서 API 경로와 이미지 업로드 설정을 가져오므로 서버 설정과 항상 일치함
+ */
+app.get('/js/config.js', (req, res) => {
+    res.type('application/javascript');
+    res.set('Cache-Control', 'no-cache');
+    res.send([
+        `export const API_BASE_URL = ${JSON.stringify(config.apiBasePath)};`,
+        `export const IMAGE_UPLOAD = Object.freeze(${JSON.stringify(config.imageUpload)});`,
+        '',
+    ].join('\n'));
+});
+
 app.use(
     '/terms',
     createProxyMiddleware({
-        target: 'http://localhost:8080',
+        target: config.apiTarget,
         changeOrigin: true,
         pathRewrite: { '^/': '/terms' },
     })
@@ -18,7 +55,7 @@ app.use(
 app.use(
     '/privacy',
     createProxyMiddleware({
-        target: 'http://localhost:8080',
+        target: config.apiTarget,
         changeOrigin: true,
         pathRewrite: { '^/': '/privacy' },
     })
@@ -27,9 +64,9 @@ app.use(
 app.use(
     '/images',
     createProxyMiddleware({
-        target: 'http://localhost:8080',
+        target: config.apiTarget,
         changeOrigin: true,
-        pathRewrite: { '^/images': '/images' },
+        pathRewrite: { '^/': '/images/' },
     })
 )
 
@@ -52,4 +89,5 @@ app.use((req, res) => {
 
 app.listen(port, () => {
     console.log(`Server is running at http://localhost:${port}`);
+    console.log(`API requests are proxied from ${config.apiBasePath} to ${config.apiTarget}`);
 });
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * 서버/클라이언트 공통 설정
+ * 환경 변수로 값을 덮어쓸 수 있음
+ *
+ * - PORT       : 프론트엔드 서버 포트 (기본 3000)
+ * - API_TARGET : 백엔드 서버 주소 (기본 http://localhost:8080)
+ * - LIVE_EVENTS_STUB : true면 게시물 실시간 이벤트(SSE)를 백엔드 대신 개발용 스텁에서 처리
+ * - IMAGE_MAX_BYTES     : 업로드할 이미지의 최대 용량(byte, 기본 5MB)
+ * - IMAGE_MAX_DIMENSION : 업로드 전에 줄일 이미지의 긴 변 최대 길이(px, 기본 2048)
+ * - IMAGE_QUALITY       : JPEG/WebP로 다시 저장할 때의 품질(0~1, 기본 0.85)
+ *
+ * 브라우저는 항상 같은 출처의 API_BASE_PATH(/api)로 요청하고,
+ * Express 서버가 API_TARGET으로 프록시하므로 클라이언트 코드를 수정하지 않고
+ * 개발/스테이징/운영/로컬 스텁 서버를 전환할 수 있음
+ */
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_API_TARGET = 'http://localhost:8080';
+const API_BASE_PATH = '/api';
+const DEFAULT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_IMAGE_MAX_DIMENSION = 2048;
+const DEFAULT_IMAGE_QUALITY = 0.85;
+
+function readImageQuality() {
+    const quality = Number(process.env.IMAGE_QUALITY);
+    return quality > 0 && quality <= 1 ? quality : DEFAULT_IMAGE_QUALITY;
+}
+
+module.exports = {
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    apiTarget: process.env.API_TARGET || DEFAULT_API_TARGET,
+    apiBasePath: API_BASE_PATH,
+    liveEventsStub: process.env.LIVE_EVENTS_STUB === 'true',
+    imageUpload: {
+        maxBytes: Number(process.env.IMAGE_MAX_BYTES) || DEFAULT_IMAGE_MAX_BYTES,
+        maxDimension: Number(process.env.IMAGE_MAX_DIMENSION) || DEFAULT_IMAGE_MAX_DIMENSION,
+        quality: readImageQuality(),
+    },
+};
@@ -0,0 +1,65 @@
+const express = require('express');
+
+/**
+ * 개발용 실시간 이벤트 스텁 (Server-Sent Events)
+ * LIVE_EVENTS_STUB=true 일 때 백엔드 대신 /api/posts/:postId/events 를 직접 처리함
+ *
+ * 이벤트 발행 예시
+ * curl -X POST localhost:3000/dev/posts/1/events \
+ *   -H 'Content-Type: application/json' \
+ *   -d '{"type":"post.stats","data":{"likeCount":3,"commentCount":1,"viewCount":10}}'
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RETRY_INTERVAL_MS = 3000;
+
+const clientsByPost = new Map();
+
+function broadcast(postId, type, data) {
+    const clients = clientsByPost.get(postId);
+    if (!clients) return 0;
+
+    const message = `event: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
+    clients.forEach((res) => res.write(message));
+    return clients.size;
+}
+
+const streamRouter = express.Router();
+
+streamRouter.get('/posts/:postId/events', (req, res) => {
+    const { postId } = req.params;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_INTERVAL_MS}\n\n`);
+
+    if (!clientsByPost.has(postId)) clientsByPost.set(postId, new Set());
+    clientsByPost.get(postId).add(res);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const clients = clientsByPost.get(postId);
+        clients?.delete(res);
+        if (clients?.size === 0) clientsByPost.delete(postId);
+    });
+});
+
+const publishRouter = express.Router();
+
+publishRouter.post('/posts/:postId/events', express.json(), (req, res) => {
+    const { type, data } = req.body ?? {};
+    if (!type) {
+        res.status(400).json({ message: 'type is required' });
+        return;
+    }
+    const delivered = broadcast(req.params.postId, type, data);
+    res.json({ delivered });
+});
+
+module.exports = { streamRouter, publishRouter };
@@ -1,7 +1,245 @@
-const API_BASE_URL = 'http://localhost:8080';
+import { API_BASE_URL } from '/js/config.js';
+import { ApiError } from './errors.js';
+import { buildSignInUrl } from '/js/utils/returnTo.js';
 
+export { ApiError };
+
+/**
+ * CSRF 토큰 설정
+ * 백엔드(Spring Security CookieCsrfTokenRepository)가 발급하는 XSRF-TOKEN 쿠키를 우선 사용하고,
+ * 쿠키를 읽을 수 없는 경우 부트스트랩 엔드포인트에서 토큰을 받아옴
+ */
+const CSRF_COOKIE_NAME = 'XSRF-TOKEN';
+const CSRF_HEADER_NAME = 'X-XSRF-TOKEN';
+const CSRF_BOOTSTRAP_ENDPOINT = '/csrf';
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+
+let csrfToken = null;
+let csrfTokenRequest = null;
+
+/**
+ * 타임아웃/재시도 설정
+ * 재시도는 멱등한 GET 요청에서 네트워크 오류, 타임아웃, 게이트웨이 오류(502/503/504)가 발생한 경우에만 수행
+ */
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 300;
+const RETRY_MAX_DELAY_MS = 3000;
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+function createTimeoutError(timeout) {
+    const error = new Error(`요청 시간이 초과되었습니다. (${timeout}ms)`);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+function createAbortError() {
+    const error = new Error('요청이 취소되었습니다.');
+    error.name = 'AbortError';
+    return error;
+}
+
+/** 지수 백오프 + full jitter */
+function getRetryDelay(attempt) {
+    const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * (2 ** attempt));
+    return Math.round(Math.random() * cap);
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', handleAbort);
+            resolve();
+        }, ms);
+        const handleAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        signal?.addEventListener('abort', handleAbort, { once: true });
+    });
+}
+
+/**
+ * 호출자의 AbortSignal과 타임아웃을 하나의 요청으로 묶어서 fetch 실행
+ * 호출자가 취소하면 AbortError, 타임아웃이면 TimeoutError를 던짐
+ */
+async function fetchWithTimeout(url, init, { timeout, signal }) {
+    if (signal?.aborted) throw createAbortError();
+
+    const controller = new AbortController();
+    let isTimedOut = false;
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            isTimedOut = true;
+            controller.abort();
+        }, timeout)
+        : null;
+    const handleAbort = () => controller.abort();
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (isTimedOut) throw createTimeoutError(timeout);
+        if (signal?.aborted) throw createAbortError();
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', handleAbort);
+    }
+}
+
+/**
+ * fetch는 업로드 진행률을 알 수 없으므로 onUploadProgress가 있는 요청은 XMLHttpRequest로 보냄
+ * 이후 처리를 fetch와 동일하게 하기 위해 결과를 Response로 감싸서 반환하고, 에러도 fetch와 같은 형태로 던짐
+ */
+function sendWithXhr(url, init, { timeout, signal, onUploadProgress }) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(init.method, url);
+        xhr.withCredentials = init.credentials === 'include';
+        xhr.timeout = timeout > 0 ? timeout : 0;
+        Object.entries(init.headers ?? {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        const handleAbort = () => xhr.abort();
+        signal?.addEventListener('abort', handleAbort, { once: true });
+        const cleanup = () => signal?.removeEventListener('abort', handleAbort);
+
+        xhr.upload.addEventListener('progress', (event) => {
+            if (event.lengthComputable) onUploadProgress(event.loaded / event.total);
+        });
+        xhr.addEventListener('load', () => {
+            cleanup();
+            // 본문이 없어야 하는 상태 코드는 null로 만들어야 Response 생성 시 에러가 나지 않음
+            const body = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+            resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText }));
+        });
+        xhr.addEventListener('error', () => {
+            cleanup();
+            reject(new TypeError('네트워크 오류로 요청에 실패했습니다.'));
+        });
+        xhr.addEventListener('timeout', () => {
+            cleanup();
+            reject(createTimeoutError(timeout));
+        });
+        xhr.addEventListener('abort', () => {
+            cleanup();
+            reject(createAbortError());
+        });
+
+        xhr.send(init.body ?? null);
+    });
+}
+
+function readCookie(name) {
+    const prefix = `${name}=`;
+    const cookie = document.cookie
+        .split(';')
+        .map((item) => item.trim())
+        .find((item) => item.startsWith(prefix));
+    return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+}
+
+async function fetchCsrfToken() {
+    const response = await fetchWithTimeout(`${API_BASE_URL}${CSRF_BOOTSTRAP_ENDPOINT}`, {
+        method: 'GET',
+        credentials: 'include',
+    }, { timeout: DEFAULT_TIMEOUT_MS });
+
+    let token = null;
+    try {
+        const data = await response.json();
+        token = data?.data?.token ?? data?.token ?? null;
+    } catch (err) {
+        // 응답 본문 없이 쿠키만 내려주는 경우
+    }
+
+    return token ?? readCookie(CSRF_COOKIE_NAME);
+}
+
+async function getCsrfToken({ refresh = false } = {}) {
+    if (!refresh) {
+        const cookieToken = readCookie(CSRF_COOKIE_NAME);
+        if (cookieToken) return cookieToken;
+        if (csrfToken) return csrfToken;
+    }
+
+    // 동시에 여러 요청이 토큰을 요청하더라도 부트스트랩 호출은 한 번만 수행
+    if (!csrfTokenRequest) {
+        csrfTokenRequest = fetchCsrfToken()
+            .then((token) => {
+                csrfToken = token;
+                return token;
+            })
+            .catch((err) => {
+                console.warn('CSRF 토큰을 가져오는 데 실패했습니다:', err);
+                return null;
+            })
+            .finally(() => {
+                csrfTokenRequest = null;
+            });
+    }
+    return csrfTokenRequest;
+}
+
+/**
+ * 오래된 CSRF 토큰으로 인한 거절인지 확인
+ * Spring Security는 CSRF 검증 실패 시 본문 없이 403을 반환하므로,
+ * 본문이 비어 있거나 에러 코드/메시지에 CSRF가 언급된 403만 재시도 대상으로 판단
+ */
+function isCsrfRejection(response, data) {
+    if (response.status !== 403) return false;
+    if (!data || Object.keys(data).length === 0) return true;
+    return /csrf/i.test(String(data.code ?? '')) || /csrf/i.test(String(data.message ?? ''));
+}
+
+async function parseResponseBody(response) {
+    const text = await response.text();
+    let data = {};
+
+    if (text){
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            console.warn('응답을 JSON으로 파싱하는 데 실패했습니다:', err);
+        }
+    }
+    return data;
+}
+
+/**
+ * API 요청
+ * @param {string} endpoint API 경로 (예: /posts)
+ * @param {object} options
+ * @param {string} [options.method] HTTP 메서드 (기본 GET)
+ * @param {object} [options.headers]
+ * @param {BodyInit} [options.body]
+ * @param {AbortSignal} [options.signal] 호출자가 요청을 취소할 때 사용
+ * @param {number} [options.timeout] 요청당 타임아웃(ms), 0이면 타임아웃 없음
+ * @param {number} [options.retries] 재시도 횟수 (GET만 적용, 기본 2)
+ * @param {boolean} [options.redirectOnUnauthorized] 401 응답 시 로그인 페이지로 이동할지 여부 (기본 true)
+ * @param {(ratio: number) => void} [options.onUploadProgress] 요청 본문 업로드 진행률(0~1) 콜백
+ */
 export async function apiRequest(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
+    const method = (options.method || 'GET').toUpperCase();
+    const requiresCsrf = !CSRF_SAFE_METHODS.includes(method);
+    const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+    const signal = options.signal;
+    const maxRetries = method === 'GET' ? (options.retries ?? DEFAULT_GET_RETRIES) : 0;
 
     const defaultHeaders = {};
 
@@ -9,46 +247,74 @@ export async function apiRequest(endpoint, options = {}) {
         defaultHeaders['Content-Type'] = 'application/json';
     }
 
-    const headers = {
-        ...defaultHeaders,
-        ...(options.headers || {}),
-    };
+    const send = async ({ refreshCsrf = false } = {}) => {
+        const headers = {
+            ...defaultHeaders,
+            ...(options.headers || {}),
+        };
 
-    try {
-        const response = await fetch(url, {
-            method: options.method || 'GET',
+        if (requiresCsrf) {
+            const token = await getCsrfToken({ refresh: refreshCsrf });
+            if (token) headers[CSRF_HEADER_NAME] = token;
+        }
+
+        const init = {
+            method: method,
             headers: headers,
             body: options.body,
             credentials: 'include',
-        });
+        };
 
-        if (response.status === 401) {
-            window.location.href = '/users/signin';
-            localStorage.removeItem('profileImageUrl');
-            return;
+        if (options.onUploadProgress) {
+            return sendWithXhr(url, init, { timeout, signal, onUploadProgress: options.onUploadProgress });
         }
+        return fetchWithTimeout(url, init, { timeout, signal });
+    };
 
-        const text = await response.text();
-        let data = {};
-        
-        if (text){
+    const sendWithRetry = async () => {
+        for (let attempt = 0; ; attempt += 1) {
             try {
-                data = JSON.parse(text);
-            } catch (err) {
-                console.warn('응답을 JSON으로 파싱하는 데 실패했습니다:', err);
+                const response = await send();
+                if (attempt < maxRetries && RETRYABLE_STATUS_CODES.includes(response.status)) {
+                    await wait(getRetryDelay(attempt), signal);
+                    continue;
+                }
+                return response;
+            } catch (error) {
+                // 호출자 취소는 재시도하지 않음, fetch의 TypeError는 네트워크 오류
+                const isRetryable = error.name === 'TimeoutError' || error instanceof TypeError;
+                if (isAbortError(error) || !isRetryable || attempt >= maxRetries) throw error;
+                await wait(getRetryDelay(attempt), signal);
             }
         }
+    };
+
+    try {
+        let response = await sendWithRetry();
+        let data = await parseResponseBody(response);
+
+        // 토큰이 만료/교체된 경우 한 번만 새 토큰으로 재시도
+        if (requiresCsrf && isCsrfRejection(response, data)) {
+            response = await send({ refreshCsrf: true });
+            data = await parseResponseBody(response);
+        }
+
+        // 로그인 후 현재 페이지로 돌아올 수 있도록 returnTo를 함께 전달
+        if (response.status === 401 && options.redirectOnUnauthorized !== false) {
+            localStorage.removeItem('profileImageUrl');
+            window.location.href = buildSignInUrl();
+            return;
+        }
 
         if (!response.ok) {
-            throw new Error(data?.message || `HTTP ${response.status}`);
+            throw ApiError.fromResponse(response, data);
         }
 
         return data;
     } catch (error) {
-        console.error('API request error:', error);
+        if (!isAbortError(error)) {
+            console.error('API request error:', error);
+        }
         throw error;
     }
 }
-
-// CSRF token 관련된 사항은 추후 구현 예정
-// 현재 Spring Security를 사용하여 구현 중이나 CSRF 토큰 처리는 고려 하지 않음
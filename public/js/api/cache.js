@@ -0,0 +1,131 @@
+import { isAbortError } from './base.js';
+
+/**
+ * API 응답 캐시 (stale-while-revalidate)
+ * 캐시된 응답을 즉시 반환하고, 백그라운드에서 다시 요청하여 값이 바뀌면 onRevalidate로 알려줌
+ *
+ * 페이지 이동(뒤로 가기 포함) 후에도 재사용할 수 있도록 sessionStorage에 저장하며,
+ * 같은 페이지 안에서는 메모리 캐시를 먼저 사용함
+ */
+
+const STORAGE_PREFIX = 'apiCache:';
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000;
+
+const memoryCache = new Map();
+
+// 무효화 이후에 도착한 이전 요청의 응답이 캐시에 다시 쓰이지 않도록 세대 번호로 구분
+let cacheGeneration = 0;
+
+function getStorage() {
+    try {
+        return window.sessionStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+function removeEntry(key) {
+    memoryCache.delete(key);
+    getStorage()?.removeItem(`${STORAGE_PREFIX}${key}`);
+}
+
+export function readCache(key, maxAge = DEFAULT_MAX_AGE_MS) {
+    let entry = memoryCache.get(key);
+
+    if (!entry) {
+        const stored = getStorage()?.getItem(`${STORAGE_PREFIX}${key}`);
+        if (stored) {
+            try {
+                entry = JSON.parse(stored);
+                memoryCache.set(key, entry);
+            } catch (error) {
+                removeEntry(key);
+            }
+        }
+    }
+
+    if (!entry) return null;
+    if (Date.now() - entry.updatedAt > maxAge) {
+        removeEntry(key);
+        return null;
+    }
+    return entry;
+}
+
+export function writeCache(key, value) {
+    const entry = { value, updatedAt: Date.now() };
+    memoryCache.set(key, entry);
+    try {
+        getStorage()?.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(entry));
+    } catch (error) {
+        // 저장 공간이 부족하면 메모리 캐시만 사용
+        console.warn('캐시를 저장하지 못했습니다:', error);
+    }
+}
+
+/**
+ * 캐시 무효화
+ * @param {string} prefix 이 접두사로 시작하는 키를 모두 삭제 (빈 문자열이면 전체 삭제)
+ * @param {object} [options]
+ * @param {boolean} [options.exact] true면 prefix와 정확히 일치하는 키만 삭제
+ */
+export function invalidateCache(prefix = '', { exact = false } = {}) {
+    cacheGeneration += 1;
+    const matches = (key) => (exact ? key === prefix : key.startsWith(prefix));
+
+    Array.from(memoryCache.keys()).filter(matches).forEach((key) => memoryCache.delete(key));
+
+    const storage = getStorage();
+    if (!storage) return;
+    const storageKeys = [];
+    for (let i = 0; i < storage.length; i += 1) {
+        const storageKey = storage.key(i);
+        if (storageKey?.startsWith(STORAGE_PREFIX) && matches(storageKey.slice(STORAGE_PREFIX.length))) {
+            storageKeys.push(storageKey);
+        }
+    }
+    storageKeys.forEach((storageKey) => storage.removeItem(storageKey));
+}
+
+export function clearApiCache() {
+    invalidateCache('');
+}
+
+/**
+ * stale-while-revalidate 요청
+ * @param {string} key 캐시 키
+ * @param {() => Promise<any>} fetcher 실제 API 요청
+ * @param {object} [options]
+ * @param {(fresh: any) => void} [options.onRevalidate] 캐시 응답을 반환한 뒤 새 응답이 다를 때 호출
+ * @param {'default' | 'no-cache'} [options.cache] no-cache면 캐시를 읽지 않고 항상 새로 요청 (응답은 캐시에 저장)
+ * @param {number} [options.maxAge] 이 시간(ms)보다 오래된 캐시는 사용하지 않음
+ */
+export async function staleWhileRevalidate(key, fetcher, { onRevalidate, cache = 'default', maxAge } = {}) {
+    const cached = cache === 'no-cache' ? null : readCache(key, maxAge);
+    const generation = cacheGeneration;
+
+    const request = fetcher().then((fresh) => {
+        // 401 리다이렉트 등으로 응답이 없는 경우는 캐시하지 않음
+        if (fresh !== undefined && generation === cacheGeneration) {
+            writeCache(key, fresh);
+        }
+        return fresh;
+    });
+
+    if (!cached) return request;
+
+    request
+        .then((fresh) => {
+            if (fresh === undefined) return;
+            if (JSON.stringify(fresh) !== JSON.stringify(cached.value)) {
+                onRevalidate?.(fresh);
+            }
+        })
+        .catch((error) => {
+            if (!isAbortError(error)) {
+                console.warn('캐시 재검증에 실패했습니다:', error);
+            }
+        });
+
+    return cached.value;
+}
@@ -0,0 +1,59 @@
+/**
+ * API 에러 타입
+ * HTTP 상태 코드, 백엔드 에러 코드, 필드별 에러 메시지를 함께 전달
+ *
+ * 백엔드 응답 예시
+ * { "code": "VALIDATION_FAILED", "message": "...", "errors": [{ "field": "email", "message": "..." }] }
+ * { "code": "DUPLICATE_EMAIL", "message": "...", "errors": { "email": "..." } }
+ */
+export class ApiError extends Error {
+    constructor({ status, code = null, message, fieldErrors = {}, data = null } = {}) {
+        super(message || `HTTP ${status}`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+        this.data = data;
+    }
+
+    get hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+
+    getFieldError(field) {
+        return this.fieldErrors[field] ?? null;
+    }
+
+    static fromResponse(response, data) {
+        return new ApiError({
+            status: response.status,
+            code: data?.code ?? data?.error ?? null,
+            message: data?.message,
+            fieldErrors: normalizeFieldErrors(data?.errors ?? data?.fieldErrors ?? data?.data?.errors),
+            data,
+        });
+    }
+}
+
+function normalizeFieldErrors(errors) {
+    if (!errors) return {};
+
+    if (Array.isArray(errors)) {
+        return errors.reduce((acc, item) => {
+            const field = item?.field ?? item?.name;
+            const message = item?.message ?? item?.defaultMessage ?? item?.reason;
+            if (field && message && !acc[field]) acc[field] = message;
+            return acc;
+        }, {});
+    }
+
+    if (typeof errors === 'object') {
+        return Object.entries(errors).reduce((acc, [field, message]) => {
+            const text = Array.isArray(message) ? message[0] : message;
+            if (text) acc[field] = String(text);
+            return acc;
+        }, {});
+    }
+
+    return {};
+}
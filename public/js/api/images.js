@@ -1,20 +1,39 @@
 import { apiRequest } from "./base.js";
+import { preprocessImage } from "/js/utils/imagePreprocess.js";
 
-export const ImageAPI = {
-    uploadProfileImage: (file) => {
-        const formData = new FormData();
-        formData.append('file', file);
-        return apiRequest('/images/profile-img', {
-            method: 'POST',
-            body: formData,
-        });
-    },
-    uploadPostImage: (file) => {
-        const formData = new FormData();
-        formData.append('file', file);
-        return apiRequest('/images/post-img', {
-            method: 'POST',
-            body: formData,
-        });
-    },
+// 큰 파일은 기본 타임아웃을 넘길 수 있으므로 업로드는 타임아웃을 넉넉하게 둠
+const IMAGE_UPLOAD_TIMEOUT_MS = 60000;
+// 프로필 이미지는 작게 표시되므로 더 작게 줄여서 업로드
+const PROFILE_IMAGE_MAX_DIMENSION = 512;
+
+/**
+ * 이미지 업로드
+ * 업로드 전에 형식/용량을 확인하고 크기를 줄여 다시 저장함 (imagePreprocess.js 참고)
+ * 이미지가 아니거나 줄여도 최대 용량을 넘으면 ImageProcessingError를 던짐
+ * @param {File} file
+ * @param {object} [options]
+ * @param {(ratio: number) => void} [options.onProgress] 업로드 진행률(0~1)
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [preprocessOptions] 전처리 설정 (기본: 서버 설정)
+ */
+async function uploadImage(endpoint, file, { onProgress, signal } = {}, preprocessOptions = {}) {
+    const processedFile = await preprocessImage(file, preprocessOptions, { signal });
+
+    const formData = new FormData();
+    formData.append('file', processedFile);
+    return apiRequest(endpoint, {
+        method: 'POST',
+        body: formData,
+        timeout: IMAGE_UPLOAD_TIMEOUT_MS,
+        onUploadProgress: onProgress,
+        signal,
+    });
 }
+
+// 업로드한 이미지를 삭제하는 API는 백엔드에 없음 (쓰이지 않는 이미지는 서버에서 정리)
+export const ImageAPI = {
+    uploadProfileImage: (file, options) => uploadImage('/images/profile-img', file, options, {
+        maxDimension: PROFILE_IMAGE_MAX_DIMENSION,
+    }),
+    uploadPostImage: (file, options) => uploadImage('/images/post-img', file, options),
+}
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { API_BASE_URL } from '/js/config.js';
+
+/**
+ * 게시물 실시간 이벤트 구독 (Server-Sent Events)
+ *
+ * 이벤트 종류와 데이터
+ * - comment.created : { comment }              새 댓글/답글 (답글은 comment.parentCommentId 포함)
+ * - comment.updated : { commentId, content }
+ * - comment.deleted : { commentId }
+ * - post.stats      : { likeCount, commentCount, viewCount }
+ *
+ * EventSource는 네트워크 오류 시 스스로 재연결하지만, 서버가 오류 응답으로 연결을 닫으면
+ * 재연결하지 않으므로 이 경우 지수 백오프로 직접 다시 연결함
+ */
+
+const POST_EVENT_TYPES = ['comment.created', 'comment.updated', 'comment.deleted', 'post.stats'];
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+/**
+ * @param {string|number} postId
+ * @param {Record<string, (data: any) => void>} handlers 이벤트 이름 → 핸들러
+ * @param {object} [options]
+ * @param {(status: 'open' | 'reconnecting') => void} [options.onStatusChange]
+ * @returns {() => void} 구독 해제 함수
+ */
+export function subscribePostEvents(postId, handlers, { onStatusChange } = {}) {
+    if (typeof EventSource === 'undefined') return () => {};
+
+    const url = `${API_BASE_URL}/posts/${postId}/events`;
+    let eventSource = null;
+    let reconnectTimer = null;
+    let reconnectAttempt = 0;
+    let isClosed = false;
+
+    const scheduleReconnect = () => {
+        if (isClosed || reconnectTimer) return;
+        const cap = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * (2 ** reconnectAttempt));
+        const delay = cap / 2 + Math.random() * (cap / 2);
+        reconnectAttempt += 1;
+        onStatusChange?.('reconnecting');
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, delay);
+    };
+
+    const connect = () => {
+        eventSource = new EventSource(url, { withCredentials: true });
+
+        eventSource.addEventListener('open', () => {
+            reconnectAttempt = 0;
+            onStatusChange?.('open');
+        });
+
+        eventSource.addEventListener('error', () => {
+            if (eventSource.readyState === EventSource.CLOSED) {
+                eventSource = null;
+                scheduleReconnect();
+            } else {
+                onStatusChange?.('reconnecting');
+            }
+        });
+
+        POST_EVENT_TYPES.forEach((type) => {
+            eventSource.addEventListener(type, (event) => {
+                const handler = handlers[type];
+                if (!handler) return;
+                try {
+                    handler(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn(`실시간 이벤트(${type})를 처리하지 못했습니다:`, error);
+                }
+            });
+        });
+    };
+
+    connect();
+
+    return () => {
+        isClosed = true;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        eventSource?.close();
+        eventSource = null;
+    };
+}
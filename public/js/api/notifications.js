@@ -0,0 +1,42 @@
+import { apiRequest } from "./base.js";
+
+/**
+ * 알림 API
+ * 헤더는 로그인 페이지에서도 불러오므로, 로그인하지 않은 상태에서 로그인 페이지로 이동하지 않도록
+ * 모든 요청에 redirectOnUnauthorized: false를 사용함 (401은 호출하는 쪽에서 처리)
+ *
+ * 알림 종류 (type)
+ * - POST_COMMENT  : 내 게시물에 달린 댓글
+ * - POST_LIKE     : 내 게시물에 눌린 좋아요
+ * - COMMENT_REPLY : 내 댓글에 달린 답글
+ *
+ * 알림 항목: { notificationId, type, isRead, createdAt, actor: { nickname, profileImageUrl },
+ *             postId, postTitle, commentId?, parentCommentId?, commentPreview? }
+ */
+export const NotificationAPI = {
+    getNotifications: (lastNotificationId, size) => {
+        const params = new URLSearchParams({ size: String(size) });
+        if (lastNotificationId !== undefined && lastNotificationId !== null) {
+            params.set('lastNotificationId', String(lastNotificationId));
+        }
+        return apiRequest(`/notifications?${params.toString()}`, {
+            method: 'GET',
+            redirectOnUnauthorized: false,
+        });
+    },
+    getUnreadCount: () =>
+        apiRequest('/notifications/unread-count', {
+            method: 'GET',
+            redirectOnUnauthorized: false,
+        }),
+    markAsRead: (notificationId) =>
+        apiRequest(`/notifications/${notificationId}/read`, {
+            method: 'PATCH',
+            redirectOnUnauthorized: false,
+        }),
+    markAllAsRead: () =>
+        apiRequest('/notifications/read', {
+            method: 'PATCH',
+            redirectOnUnauthorized: false,
+        }),
+}
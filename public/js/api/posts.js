@@ -1,70 +1,268 @@
 import { apiRequest } from "./base.js";
+import { staleWhileRevalidate, invalidateCache } from "./cache.js";
+
+/**
+ * 캐시 키
+ * - posts:list:<query|first>       게시물 목록 페이지 (검색 조건 + 커서)
+ * - posts:detail:<postId>          게시물 상세
+ */
+const POST_LIST_CACHE_PREFIX = 'posts:list:';
+const POST_DETAIL_CACHE_PREFIX = 'posts:detail:';
+
+function invalidatePostCaches(postId) {
+    invalidateCache(POST_LIST_CACHE_PREFIX);
+    hotRankings.clear();
+    if (postId !== undefined && postId !== null) {
+        invalidateCache(`${POST_DETAIL_CACHE_PREFIX}${postId}`, { exact: true });
+    }
+}
+
+/**
+ * 게시물 목록 정렬 기준
+ * 최신순은 lastPostId 커서를, 나머지는 (정렬 값, postId) 복합 커서를 사용하여
+ * 같은 값을 가진 게시물이 여러 개여도 페이지 경계에서 중복/누락이 생기지 않도록 함
+ * 인기순은 클라이언트에서 점수를 계산해서 정렬하므로 정렬 결과 안의 위치(offset)를 커서로 사용 (아래 인기순 참고)
+ */
+export const POST_SORTS = {
+    latest: { label: '최신순', cursorField: null },
+    likes: { label: '좋아요순', cursorField: 'likeCount' },
+    views: { label: '조회순', cursorField: 'viewCount' },
+    comments: { label: '댓글순', cursorField: 'commentCount' },
+    hot: { label: '인기순', cursorField: null },
+};
+
+export const DEFAULT_POST_SORT = 'latest';
+
+export function isValidPostSort(sort) {
+    return Object.prototype.hasOwnProperty.call(POST_SORTS, sort);
+}
+
+/**
+ * 응답으로부터 다음 페이지 커서 계산
+ * 서버가 nextCursor를 내려주면 그 값을 그대로 사용
+ */
+export function getNextPostCursor(sort, data) {
+    if (!data?.hasNext) return null;
+    if (sort === 'hot') return { offset: data.nextOffset };
+    if (data.nextCursor) return { cursor: data.nextCursor };
+
+    const cursorField = POST_SORTS[sort]?.cursorField;
+    if (!cursorField) return { lastPostId: data.lastPostId };
+
+    const lastPost = data.posts?.[data.posts.length - 1];
+    if (!lastPost) return null;
+
+    return { lastPostId: lastPost.postId, lastSortValue: lastPost[cursorField] };
+}
+
+/** 게시물 목록 한 페이지 요청 (검색 조건과 정렬, 커서를 쿼리로 보냄) */
+function fetchPostPage(cursor, filters = {}, requestOptions = {}) {
+    const { onRevalidate, cache, ...options } = requestOptions;
+    const cursorParams = typeof cursor === 'object' ? cursor : { lastPostId: cursor };
+    const { sort, ...searchFilters } = filters;
+    const params = new URLSearchParams();
+    Object.entries({
+        ...searchFilters,
+        sort: sort === DEFAULT_POST_SORT ? undefined : sort,
+        ...cursorParams,
+    }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, String(value));
+        }
+    });
+    params.sort();
+    const query = params.toString();
+    const cacheKey = `${POST_LIST_CACHE_PREFIX}${query || 'first'}`;
+
+    return staleWhileRevalidate(cacheKey, () =>
+        apiRequest(query ? `/posts?${query}` : '/posts', {
+            method: 'GET',
+            ...options,
+        }), { onRevalidate, cache });
+}
+
+/**
+ * 인기순 (시간 감쇠 점수)
+ * 게시물 항목에는 likeCount, viewCount, commentCount와 createdAt만 있고 서버에 인기순 정렬이 없으므로,
+ * 최신 게시물을 최신순으로 몇 페이지 모아서 점수를 계산하고 정렬한 뒤 offset 커서로 나눠서 보여줌
+ * 정렬 결과는 첫 페이지를 요청할 때 검색 조건마다 한 번 계산하고 다음 페이지는 같은 결과에서 잘라내므로
+ * 페이지를 넘기는 동안 점수가 바뀌어도 중복/누락이 생기지 않음
+ */
+const HOT_PAGE_SIZE = 10;
+// 점수를 계산할 최신 게시물 페이지 수 (오래된 게시물은 감쇠로 점수가 낮아 후보에서 빠져도 순위에 영향이 적음)
+const HOT_CANDIDATE_PAGES = 5;
+const HOT_GRAVITY = 1.5;
+const HOUR_MS = 60 * 60 * 1000;
+
+// 검색 조건(쿼리 문자열) → 인기순으로 정렬한 게시물 목록 Promise
+const hotRankings = new Map();
+
+/** 반응(좋아요, 댓글, 조회)을 작성 후 지난 시간으로 나눈 점수 */
+export function getHotScore(post, now = Date.now()) {
+    const engagement = (post.likeCount ?? 0) * 3 + (post.commentCount ?? 0) * 2 + (post.viewCount ?? 0) * 0.1;
+    const createdAt = new Date(post.createdAt).getTime();
+    const ageHours = Number.isFinite(createdAt) ? Math.max(now - createdAt, 0) / HOUR_MS : 0;
+    return engagement / (ageHours + 2) ** HOT_GRAVITY;
+}
+
+async function rankHotPosts(filters) {
+    const now = Date.now();
+    const candidates = [];
+    let cursor = null;
+    for (let page = 0; page < HOT_CANDIDATE_PAGES; page += 1) {
+        const { data } = await fetchPostPage(cursor, filters);
+        candidates.push(...(data?.posts ?? []));
+        cursor = getNextPostCursor(DEFAULT_POST_SORT, data);
+        if (!cursor) break;
+    }
+    return candidates
+        .map((post) => ({ post, score: getHotScore(post, now) }))
+        .sort((a, b) => b.score - a.score || b.post.postId - a.post.postId)
+        .map(({ post }) => post);
+}
+
+/** 진행 중인 작업을 기다리되 signal이 취소되면 AbortError로 중단 (작업 자체는 다른 요청이 이어서 사용) */
+function waitUnlessAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new DOMException('요청이 취소되었습니다.', 'AbortError'));
+    return new Promise((resolve, reject) => {
+        const handleAbort = () => reject(new DOMException('요청이 취소되었습니다.', 'AbortError'));
+        signal.addEventListener('abort', handleAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handleAbort));
+    });
+}
+
+/** 다른 정렬과 같은 응답 형태({ data: { posts, hasNext, nextOffset } })로 인기순 한 페이지 반환 */
+async function getHotPostPage(cursor, filters, { signal } = {}) {
+    const offset = cursor?.offset ?? 0;
+    const key = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    // 첫 페이지는 항상 새로 계산하고, 다음 페이지는 첫 페이지와 같은 정렬 결과를 사용
+    if (offset === 0 || !hotRankings.has(key)) {
+        const ranking = rankHotPosts(filters);
+        hotRankings.set(key, ranking);
+        ranking.catch(() => {
+            if (hotRankings.get(key) === ranking) hotRankings.delete(key);
+        });
+    }
+
+    const ranking = await waitUnlessAborted(hotRankings.get(key), signal);
+    const posts = ranking.slice(offset, offset + HOT_PAGE_SIZE);
+    return {
+        data: {
+            posts,
+            hasNext: offset + posts.length < ranking.length,
+            nextOffset: offset + posts.length,
+        },
+    };
+}
+
+/** 요청이 성공하면 관련 캐시를 무효화 */
+async function withInvalidation(request, postId) {
+    const response = await request;
+    invalidatePostCaches(postId);
+    return response;
+}
 
 export const PostAPI = {
-    getPosts: (lastPostId) => {
-        if (lastPostId === undefined || lastPostId === null) {
-            return apiRequest('/posts', {
-                method: 'GET',
-            });
-        } else {
-            return apiRequest(`/posts?lastPostId=${lastPostId}`, {
+    /**
+     * @param {number|object|null} cursor lastPostId 또는 getNextPostCursor로 계산한 커서
+     * @param {object} [filters] 검색 조건
+     * @param {string} [filters.keyword] 제목/내용 검색어
+     * @param {string} [filters.author] 작성자 닉네임
+     * @param {string} [filters.startDate] 작성일 시작 (YYYY-MM-DD)
+     * @param {string} [filters.endDate] 작성일 끝 (YYYY-MM-DD)
+     * @param {string} [filters.sort] 정렬 기준 (POST_SORTS 참고, 기본 latest)
+     * @param {object} [requestOptions] apiRequest 옵션 + onRevalidate, cache (cache.js 참고)
+     */
+    getPosts: (cursor, filters = {}, requestOptions = {}) => {
+        const { sort, ...searchFilters } = filters;
+        if (sort === 'hot') return getHotPostPage(cursor, searchFilters, requestOptions);
+        return fetchPostPage(cursor, filters, requestOptions);
+    },
+    getPostById: (postId, requestOptions = {}) => {
+        const { onRevalidate, cache, ...options } = requestOptions;
+
+        return staleWhileRevalidate(`${POST_DETAIL_CACHE_PREFIX}${postId}`, () =>
+            apiRequest(`/posts/${postId}`, {
                 method: 'GET',
-            });
-        }
+                ...options,
+            }), { onRevalidate, cache });
     },
-    getPostById: (postId) =>
-        apiRequest(`/posts/${postId}`, {
-            method: 'GET',
-        }),
     createPost: (title, content, imageIds) => {
         const body = { title, content };
         if (imageIds !== undefined && imageIds !== null) body.imageIds = imageIds;
 
-        return apiRequest('/posts', {
+        return withInvalidation(apiRequest('/posts', {
             method: 'POST',
             body: JSON.stringify(body),
-        });
+        }));
     },
-    updatePost: (postId, title, content, imageIds) => 
-        apiRequest(`/posts/${postId}`, {
+    /**
+     * @param {number[]} imageIds 기존 이미지와 새로 업로드한 이미지를 화면 순서대로 합친 ID 목록 (게시물의 이미지를 이 목록으로 교체)
+     */
+    updatePost: (postId, title, content, imageIds) => {
+        const body = { title, content };
+        if (imageIds !== undefined && imageIds !== null) body.imageIds = imageIds;
+
+        return withInvalidation(apiRequest(`/posts/${postId}`, {
             method: 'PATCH',
-            body: JSON.stringify({ title, content, imageIds }),
-        }),
+            body: JSON.stringify(body),
+        }), postId);
+    },
     deletePost: (postId) =>
-        apiRequest(`/posts/${postId}`, {
+        withInvalidation(apiRequest(`/posts/${postId}`, {
             method: 'DELETE',
-        }),
-    getCommentsOnPost: (postId, lastCommentId, size) => {
+        }), postId),
+    getCommentsOnPost: (postId, lastCommentId, size, requestOptions = {}) => {
         if (lastCommentId === undefined || lastCommentId === null) {
             return apiRequest(`/posts/${postId}/comments?size=${size}`, {
                 method: 'GET',
+                ...requestOptions,
             });
         } else {
             return apiRequest(`/posts/${postId}/comments?lastCommentId=${lastCommentId}&size=${size}`, {
                 method: 'GET',
+                ...requestOptions,
             });
         }
     },
     createCommentOnPost: (postId, content) => 
-        apiRequest(`/posts/${postId}/comments`, {
+        withInvalidation(apiRequest(`/posts/${postId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ content }),
+        }), postId),
+    /**
+     * 답글 목록 조회
+     * 답글도 댓글과 같은 commentId 체계를 사용하므로 수정/삭제는 updateComment/deleteComment를 그대로 사용
+     */
+    getRepliesOnComment: (postId, commentId, lastReplyId, size, requestOptions = {}) => {
+        const params = new URLSearchParams({ size: String(size) });
+        if (lastReplyId !== undefined && lastReplyId !== null) params.set('lastReplyId', String(lastReplyId));
+        return apiRequest(`/posts/${postId}/comments/${commentId}/replies?${params.toString()}`, {
+            method: 'GET',
+            ...requestOptions,
+        });
+    },
+    createReplyOnComment: (postId, commentId, content) =>
+        withInvalidation(apiRequest(`/posts/${postId}/comments/${commentId}/replies`, {
             method: 'POST',
             body: JSON.stringify({ content }),
-        }),
+        }), postId),
     updateComment: (postId, commentId, content) =>
-        apiRequest(`/posts/${postId}/comments/${commentId}`, {
+        withInvalidation(apiRequest(`/posts/${postId}/comments/${commentId}`, {
             method: 'PATCH',
             body: JSON.stringify({ content }),
-        }),
+        }), postId),
     deleteComment: (postId, commentId) =>
-        apiRequest(`/posts/${postId}/comments/${commentId}`, {
+        withInvalidation(apiRequest(`/posts/${postId}/comments/${commentId}`, {
             method: 'DELETE',
-        }),
+        }), postId),
     likePost: (postId) =>
-        apiRequest(`/posts/${postId}/like`, {
+        withInvalidation(apiRequest(`/posts/${postId}/like`, {
             method: 'POST',
-    }),
+        }), postId),
     cancelLikePost: (postId) =>
-        apiRequest(`/posts/${postId}/like`, {
+        withInvalidation(apiRequest(`/posts/${postId}/like`, {
             method: 'DELETE',
-    }),
+        }), postId),
 }
@@ -1,30 +1,56 @@
 import { apiRequest } from "./base.js";
+import { clearApiCache } from "./cache.js";
 
 export const UserAPI = {
-    signIn: (email, password) => 
-        apiRequest('/auth', {
-            method: 'POST',
-            body: JSON.stringify({ email, password }),
-        }),
+    signIn: (email, password) => {
+            // 작성자 여부, 좋아요 여부 등 사용자별 응답이 캐시되어 있으므로 로그인 시 초기화
+            clearApiCache();
+            return apiRequest('/auth', {
+                method: 'POST',
+                body: JSON.stringify({ email, password }),
+                redirectOnUnauthorized: false,
+            });
+    },
     signUp: (email, password, password2, nickname, profileImageId) =>
         apiRequest('/users', {
             method: 'POST',
             body: JSON.stringify({ email, password, password2, nickname, profileImageId: profileImageId ?? null }),
         }),
-    signOut: () => {
+    signOut: (requestOptions = {}) => {
             localStorage.removeItem('profileImageUrl');
+            clearApiCache();
             return apiRequest('/auth', { 
-                method: 'DELETE' 
+                method: 'DELETE',
+                ...requestOptions,
             });
     },
     getCurrentUser: () => 
         apiRequest('/users/me', { 
             method: 'GET' 
         }),
-    getUserById: (user_id) => 
+    getUserById: (user_id, requestOptions = {}) => 
         apiRequest(`/users/${user_id}`, { 
-            method: 'GET' 
+            method: 'GET',
+            ...requestOptions,
         }),
+    /** 사용자가 작성한 게시물 목록 (lastPostId 커서) */
+    getUserPosts: (user_id, lastPostId, size, requestOptions = {}) => {
+        const params = new URLSearchParams({ size: String(size) });
+        if (lastPostId !== undefined && lastPostId !== null) params.set('lastPostId', String(lastPostId));
+        return apiRequest(`/users/${user_id}/posts?${params.toString()}`, {
+            method: 'GET',
+            ...requestOptions,
+        });
+    },
+    /** 사용자가 작성한 댓글/답글 목록 (lastCommentId 커서, 각 항목에 postId/postTitle 포함) */
+    getUserComments: (user_id, lastCommentId, size, requestOptions = {}) => {
+        const params = new URLSearchParams({ size: String(size) });
+        if (lastCommentId !== undefined && lastCommentId !== null) params.set('lastCommentId', String(lastCommentId));
+        return apiRequest(`/users/${user_id}/comments?${params.toString()}`, {
+            method: 'GET',
+            ...requestOptions,
+        });
+    },
     updateCurrentUser: (nickname, profileImageId) => {
             const body = {};
             if (nickname !== undefined && nickname !== null) body.nickname = nickname;
@@ -35,23 +61,27 @@ export const UserAPI = {
                 body: JSON.stringify(body),
             });
         },
-    updateCurrentUserPassword: (newPassword, newPassword2) => 
+    /** 비밀번호 변경, 세션을 빼앗긴 경우에도 바꿀 수 없도록 현재 비밀번호를 함께 확인 */
+    updateCurrentUserPassword: (currentPassword, newPassword, newPassword2) => 
         apiRequest('/users/me/password', {
             method: 'PATCH',
-            body: JSON.stringify({ newPassword, newPassword2 }),
+            body: JSON.stringify({ currentPassword, newPassword, newPassword2 }),
         }),
     deleteCurrentUser: () => 
         apiRequest('/users/me', {
             method: 'DELETE',
         }),
-    checkEmailExists: (email) => 
+    /** 입력 중 중복 확인에 사용, 이전 입력의 요청은 requestOptions.signal로 취소 */
+    checkEmailExists: (email, requestOptions = {}) => 
         apiRequest('/users/check-email', {
             method: 'POST',
             body: JSON.stringify({ email }),
+            ...requestOptions,
         }),
-    checkNicknameExists: (nickname) =>
+    checkNicknameExists: (nickname, requestOptions = {}) =>
         apiRequest('/users/check-nickname', {
             method: 'POST',
             body: JSON.stringify({ nickname }),
+            ...requestOptions,
         }), 
 }
\ No newline at end of file
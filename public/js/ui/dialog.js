@@ -0,0 +1,305 @@
+import { trapFocus } from '/js/ui/focusTrap.js';
+import { FIELD_STATE, attachFieldValidation } from '/js/ui/formValidation.js';
+
+/**
+ * 공용 다이얼로그
+ * - confirmDialog : 확인/취소 → Promise<boolean>
+ * - promptDialog  : 값 입력 → Promise<string | null> (취소하면 null), expectedValue를 주면 그 문구를 그대로 입력해야 확인 가능
+ * - openDialog    : 본문과 버튼을 직접 구성하는 다이얼로그 → { element, body, close, result }
+ *
+ * 여러 개를 열면 나중에 연 다이얼로그가 위에 쌓이고, 아래 다이얼로그는 위 다이얼로그가 닫힐 때까지 조작할 수 없음(inert)
+ * Escape, 바깥 영역 클릭으로 닫을 수 있고(dismissible), 닫으면 열기 전에 포커스가 있던 요소로 돌아감
+ * 다이얼로그가 하나라도 열려 있는 동안 페이지 스크롤을 막음
+ */
+
+const dialogStack = [];
+let dialogSequence = 0;
+let promptSequence = 0;
+let scrollLockCount = 0;
+
+/**
+ * 페이지 스크롤 막기 (다이얼로그, 라이트박스가 함께 사용하므로 연 횟수만큼 풀어야 해제됨)
+ */
+export function lockScroll() {
+    scrollLockCount += 1;
+    if (scrollLockCount > 1) return;
+
+    // 스크롤바가 사라지면서 내용이 옆으로 밀리지 않도록 스크롤바 너비만큼 여백을 둠
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    if (scrollbarWidth > 0) document.body.style.paddingRight = `${scrollbarWidth}px`;
+    document.body.classList.add('is-modal-open');
+}
+
+export function unlockScroll() {
+    if (scrollLockCount === 0) return;
+    scrollLockCount -= 1;
+    if (scrollLockCount > 0) return;
+
+    document.body.style.paddingRight = '';
+    document.body.classList.remove('is-modal-open');
+}
+
+function createActionButton({ label, variant = 'outline' }) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-${variant}`;
+    button.textContent = label;
+    return button;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {Node | string} [options.content] 본문 (문자열은 텍스트로 표시)
+ * @param {object[]} [options.actions] 하단 버튼 { label, variant, value, autofocus, onClick(event, close) }
+ *   onClick이 없으면 누를 때 value를 결과로 닫힘
+ * @param {string} [options.className] .modal에 추가할 클래스
+ * @param {'dialog' | 'alertdialog'} [options.role]
+ * @param {boolean} [options.dismissible] Escape, 바깥 영역 클릭으로 닫을 수 있는지 (기본 true)
+ * @param {*} [options.dismissValue] Escape, 바깥 영역 클릭으로 닫을 때의 결과 (기본 null)
+ * @param {HTMLElement | null} [options.initialFocus] 처음 포커스할 요소 (기본: autofocus 버튼 또는 첫 번째 포커스 가능한 요소)
+ * @param {() => void} [options.onClose] 닫힌 뒤 정리 작업
+ * @returns {{ element: HTMLElement, body: HTMLElement, close: (result?: *) => void, result: Promise<*> }}
+ */
+export function openDialog({
+    title,
+    description = '',
+    content = null,
+    actions = [],
+    className = '',
+    role = 'dialog',
+    dismissible = true,
+    dismissValue = null,
+    initialFocus = null,
+    onClose,
+} = {}) {
+    dialogSequence += 1;
+    const dialogId = `dialog-${dialogSequence}`;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop is-active';
+
+    const element = document.createElement('div');
+    element.className = ['modal', className].filter(Boolean).join(' ');
+    element.setAttribute('role', role);
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-labelledby', `${dialogId}-title`);
+
+    const titleElement = document.createElement('h3');
+    titleElement.id = `${dialogId}-title`;
+    titleElement.className = 'modal-title';
+    titleElement.textContent = title ?? '';
+    element.appendChild(titleElement);
+
+    if (description) {
+        const descriptionElement = document.createElement('p');
+        descriptionElement.id = `${dialogId}-description`;
+        descriptionElement.className = 'modal-description';
+        descriptionElement.textContent = description;
+        element.appendChild(descriptionElement);
+        element.setAttribute('aria-describedby', descriptionElement.id);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    if (content instanceof Node) {
+        body.appendChild(content);
+    } else if (content) {
+        body.textContent = content;
+    }
+    if (body.hasChildNodes()) element.appendChild(body);
+
+    let resolveResult;
+    const result = new Promise((resolve) => {
+        resolveResult = resolve;
+    });
+    let isClosed = false;
+    let releaseFocus = () => {};
+
+    const close = (value) => {
+        if (isClosed) return;
+        isClosed = true;
+
+        dialogStack.splice(dialogStack.indexOf(backdrop), 1);
+        // 포커스를 되돌리기 전에 아래 다이얼로그를 다시 조작할 수 있도록 풀어줌
+        dialogStack[dialogStack.length - 1]?.removeAttribute('inert');
+        backdrop.remove();
+        unlockScroll();
+        releaseFocus();
+        onClose?.();
+        resolveResult(value);
+    };
+
+    let autofocusButton = null;
+    if (actions.length > 0) {
+        const actionsElement = document.createElement('div');
+        actionsElement.className = 'modal-actions';
+        actions.forEach((action) => {
+            const button = createActionButton(action);
+            button.addEventListener('click', (event) => {
+                if (action.onClick) {
+                    action.onClick(event, close);
+                } else {
+                    close(action.value);
+                }
+            });
+            if (action.autofocus) autofocusButton = button;
+            actionsElement.appendChild(button);
+        });
+        element.appendChild(actionsElement);
+    }
+
+    // 바깥 영역에서 누르고 뗀 경우만 닫음 (다이얼로그 안에서 드래그하다 바깥에서 뗀 경우 제외)
+    let pressedTarget = null;
+    backdrop.addEventListener('pointerdown', (event) => {
+        pressedTarget = event.target;
+    });
+    backdrop.addEventListener('click', (event) => {
+        // 다이얼로그 밖의 클릭 처리(댓글 목록 등)에 전달되지 않도록 막음
+        event.stopPropagation();
+        if (dismissible && event.target === backdrop && pressedTarget === backdrop) close(dismissValue);
+        pressedTarget = null;
+    });
+
+    backdrop.appendChild(element);
+    dialogStack[dialogStack.length - 1]?.setAttribute('inert', '');
+    dialogStack.push(backdrop);
+    document.body.appendChild(backdrop);
+    lockScroll();
+
+    releaseFocus = trapFocus(element, {
+        onEscape: dismissible ? () => close(dismissValue) : undefined,
+        initialFocus: initialFocus ?? autofocusButton,
+    });
+
+    return { element, body, close, result };
+}
+
+/**
+ * 확인 다이얼로그
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {string} [options.confirmText]
+ * @param {string} [options.cancelText]
+ * @param {boolean} [options.danger] 삭제처럼 되돌릴 수 없는 작업이면 확인 버튼을 위험 색상으로 표시
+ * @returns {Promise<boolean>}
+ */
+export function confirmDialog({
+    title,
+    description = '',
+    confirmText = '확인',
+    cancelText = '취소',
+    danger = false,
+} = {}) {
+    return openDialog({
+        title,
+        description,
+        role: 'alertdialog',
+        dismissValue: false,
+        actions: [
+            { label: cancelText, variant: 'outline', value: false },
+            { label: confirmText, variant: danger ? 'danger' : 'primary', value: true, autofocus: true },
+        ],
+    }).result;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 입력 다이얼로그
+ * 입력값은 formValidation.js 규칙으로 검사하고, 유효할 때만 확인 버튼을 누를 수 있음
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} [options.description]
+ * @param {string} options.label 입력 필드 라벨
+ * @param {string} [options.placeholder]
+ * @param {string} [options.defaultValue]
+ * @param {string} [options.inputType]
+ * @param {string} [options.expectedValue] 이 문구를 그대로 입력해야 확인 가능 (회원 탈퇴 등)
+ * @param {object} [options.rules] 입력 검증 규칙 (기본: 필수 입력)
+ * @param {string} [options.confirmText]
+ * @param {string} [options.cancelText]
+ * @param {boolean} [options.danger]
+ * @returns {Promise<string | null>} 입력한 값, 취소하면 null
+ */
+export function promptDialog({
+    title,
+    description = '',
+    label,
+    placeholder = '',
+    defaultValue = '',
+    inputType = 'text',
+    expectedValue,
+    rules,
+    confirmText = '확인',
+    cancelText = '취소',
+    danger = false,
+} = {}) {
+    promptSequence += 1;
+    const inputId = `prompt-dialog-${promptSequence}-input`;
+
+    const group = document.createElement('div');
+    group.className = 'form-group modal-prompt';
+    const labelElement = document.createElement('label');
+    labelElement.className = 'form-label';
+    labelElement.htmlFor = inputId;
+    labelElement.textContent = label;
+    const input = document.createElement('input');
+    input.id = inputId;
+    input.type = inputType;
+    input.className = 'form-input';
+    input.placeholder = placeholder;
+    input.value = defaultValue;
+    input.autocomplete = 'off';
+    group.append(labelElement, input);
+
+    const inputRules = rules ?? (expectedValue !== undefined
+        ? {
+            required: `"${expectedValue}" 문구를 입력해주세요.`,
+            pattern: new RegExp(`^${escapeRegExp(expectedValue)}$`),
+            messages: { pattern: `"${expectedValue}" 문구를 정확히 입력해주세요.` },
+        }
+        : { required: true });
+
+    let confirmButton = null;
+    const syncConfirmButton = (state) => {
+        if (confirmButton) confirmButton.disabled = state !== FIELD_STATE.VALID;
+    };
+    const validation = attachFieldValidation(input, inputRules, { form: null, onStateChange: syncConfirmButton });
+
+    const submit = async (close) => {
+        if (!(await validation.validate())) {
+            input.focus();
+            return;
+        }
+        close(inputRules.trim === false ? input.value : input.value.trim());
+    };
+
+    const dialog = openDialog({
+        title,
+        description,
+        content: group,
+        className: 'modal-prompt-dialog',
+        initialFocus: input,
+        actions: [
+            { label: cancelText, variant: 'outline', value: null },
+            { label: confirmText, variant: danger ? 'danger' : 'primary', onClick: (event, close) => submit(close) },
+        ],
+        onClose: () => validation.destroy(),
+    });
+
+    confirmButton = dialog.element.querySelector('.modal-actions .btn:last-child');
+    syncConfirmButton(validation.getState());
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter' || event.isComposing) return;
+        event.preventDefault();
+        submit(dialog.close);
+    });
+
+    return dialog.result;
+}
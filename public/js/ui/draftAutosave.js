@@ -0,0 +1,208 @@
+import { getDraft, saveDraft, deleteDraft } from '/js/utils/draftStore.js';
+
+/**
+ * 게시물 작성/수정 폼 임시 저장
+ * - 입력이 멈추면 제목, 내용, 선택한 이미지를 임시 저장하고 페이지를 떠날 때도 한 번 더 저장
+ * - 페이지를 다시 열었을 때 임시 저장된 글이 있으면 [복원] / [삭제] 안내를 표시
+ * - 제출하지 않은 변경 사항이 있으면 페이지를 떠나기 전에 경고
+ *
+ * 안내에서 선택하기 전까지는 기존 임시 저장본을 덮어쓰지 않음
+ */
+
+const DEFAULT_SAVE_DELAY_MS = 800;
+
+function formatSavedAt(timestamp) {
+    return new Date(timestamp).toLocaleString('ko-KR', {
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+    });
+}
+
+/** 폼 안의 파일 입력에서 선택된 파일 목록 */
+function getSelectedFiles(form) {
+    return Array.from(form.querySelectorAll('input[type="file"]'))
+        .flatMap((input) => Array.from(input.files ?? []));
+}
+
+/** 저장된 파일을 첫 번째 파일 입력에 다시 선택하고 change 이벤트를 보내 페이지의 업로드 처리를 이어서 실행 */
+function restoreSelectedFiles(form, files) {
+    const input = form.querySelector('input[type="file"]');
+    if (!input || files.length === 0 || typeof DataTransfer === 'undefined') return;
+    const dataTransfer = new DataTransfer();
+    files.forEach((file) => dataTransfer.items.add(file));
+    input.files = dataTransfer.files;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {object} options
+ * @param {string} options.draftKey 임시 저장 키 (draftStore.js 참고)
+ * @param {string[]} [options.fields] 저장할 입력 name 목록
+ * @param {() => (File | { file?: File, imageUrl?: string })[]} [options.getImages] 저장할 이미지 (기본: 폼의 파일 입력)
+ *        이미 업로드된 이미지처럼 파일이 아닌 항목은 imageUrl로 변경 여부를 비교
+ * @param {(images: any[]) => void} [options.restoreImages] 이미지 복원 (기본: 폼의 파일 입력에 다시 선택)
+ * @param {number} [options.saveDelay]
+ */
+export function createDraftAutosave(form, {
+    draftKey,
+    fields = ['title', 'content'],
+    getImages = () => getSelectedFiles(form),
+    restoreImages = (images) => restoreSelectedFiles(form, images),
+    saveDelay = DEFAULT_SAVE_DELAY_MS,
+} = {}) {
+    let baseline = null;
+    let saveTimer = null;
+    let isStarted = false;
+    let isPaused = false;
+    let isCleared = false;
+    let bannerElement = null;
+
+    const statusElement = document.createElement('p');
+    statusElement.className = 'form-help draft-status';
+    statusElement.setAttribute('aria-live', 'polite');
+    (form.querySelector('.form-actions') ?? form.lastElementChild)?.insertAdjacentElement('beforebegin', statusElement);
+
+    const readFields = () => fields.reduce((acc, name) => {
+        const field = form.elements.namedItem(name);
+        acc[name] = field?.value ?? '';
+        return acc;
+    }, {});
+
+    const takeSnapshot = () => ({ fields: readFields(), images: getImages() });
+
+    // 파일은 이름/크기/수정 시각으로만 비교, 이미 업로드된 이미지는 URL로 비교
+    const serialize = ({ fields: values, images }) => JSON.stringify({
+        values,
+        images: images.map((image) => {
+            const file = image instanceof File ? image : image.file;
+            return file ? [file.name, file.size, file.lastModified] : image.imageUrl;
+        }),
+    });
+
+    const isDirty = () => baseline !== null && serialize(takeSnapshot()) !== baseline;
+
+    const save = async () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (!isStarted || isPaused || isCleared) return;
+
+        try {
+            if (!isDirty()) {
+                await deleteDraft(draftKey);
+                statusElement.textContent = '';
+                return;
+            }
+            const draft = await saveDraft(draftKey, takeSnapshot());
+            statusElement.textContent = `임시 저장됨 (${formatSavedAt(draft.savedAt)})`;
+        } catch (error) {
+            console.warn('임시 저장에 실패했습니다:', error);
+            statusElement.textContent = '임시 저장에 실패했습니다.';
+        }
+    };
+
+    const scheduleSave = () => {
+        if (!isStarted || isPaused || isCleared) return;
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(save, saveDelay);
+    };
+
+    const closeBanner = () => {
+        bannerElement?.remove();
+        bannerElement = null;
+        isPaused = false;
+    };
+
+    const restoreDraft = (draft) => {
+        Object.entries(draft.fields ?? {}).forEach(([name, value]) => {
+            const field = form.elements.namedItem(name);
+            if (!field || !fields.includes(name)) return;
+            field.value = value;
+            // 글자 수 카운터, 미리보기 등이 갱신되도록 input 이벤트 발생
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        // localStorage에 저장된 임시 저장본에는 이미지가 없으므로 현재 이미지를 그대로 둠 (draftStore.js 참고)
+        if (draft.images) restoreImages(draft.images);
+    };
+
+    const showBanner = (draft) => {
+        isPaused = true;
+        bannerElement = document.createElement('div');
+        bannerElement.className = 'draft-banner';
+        bannerElement.setAttribute('role', 'region');
+        bannerElement.setAttribute('aria-label', '임시 저장된 글');
+        bannerElement.innerHTML = `
+            <p class="draft-banner-message"></p>
+            <div class="draft-banner-actions">
+                <button type="button" class="btn btn-primary btn-sm draft-restore">복원</button>
+                <button type="button" class="btn btn-ghost btn-sm draft-discard">삭제</button>
+            </div>
+        `;
+        const imageCount = draft.images?.length ?? 0;
+        bannerElement.querySelector('.draft-banner-message').textContent =
+            `${formatSavedAt(draft.savedAt)}에 임시 저장된 글이 있습니다.${imageCount > 0 ? ` (이미지 ${imageCount}개 포함)` : ''}`;
+
+        bannerElement.querySelector('.draft-restore').addEventListener('click', () => {
+            closeBanner();
+            restoreDraft(draft);
+            statusElement.textContent = '임시 저장된 글을 복원했습니다.';
+            form.elements.namedItem(fields[fields.length - 1])?.focus();
+        });
+        bannerElement.querySelector('.draft-discard').addEventListener('click', async () => {
+            closeBanner();
+            await deleteDraft(draftKey);
+            statusElement.textContent = '임시 저장된 글을 삭제했습니다.';
+            scheduleSave();
+            form.elements.namedItem(fields[0])?.focus();
+        });
+
+        form.insertAdjacentElement('afterbegin', bannerElement);
+        bannerElement.querySelector('.draft-restore').focus();
+    };
+
+    form.addEventListener('input', scheduleSave);
+    form.addEventListener('change', scheduleSave);
+
+    window.addEventListener('pagehide', () => {
+        if (saveTimer) save();
+    });
+
+    window.addEventListener('beforeunload', (event) => {
+        if (!isStarted || isCleared || !isDirty()) return;
+        save();
+        event.preventDefault();
+        event.returnValue = '';
+    });
+
+    return {
+        /**
+         * 현재 폼 값을 기준 상태로 기록하고 임시 저장 시작
+         * 수정 페이지는 서버의 게시물 데이터를 채운 뒤에 호출해야 함
+         */
+        start: async () => {
+            baseline = serialize(takeSnapshot());
+            isStarted = true;
+
+            const draft = await getDraft(draftKey);
+            if (!draft) return;
+            // 현재 값과 같은 임시 저장본은 안내할 필요가 없음
+            if (serialize({ fields: { ...readFields(), ...draft.fields }, images: draft.images ?? getImages() }) === baseline) {
+                await deleteDraft(draftKey);
+                return;
+            }
+            showBanner(draft);
+        },
+        /** 이미지 업로드처럼 비동기로 값이 바뀐 경우 즉시 저장 */
+        save,
+        /** 제출에 성공하면 임시 저장본을 지우고 이후 이동 시 경고하지 않음 */
+        clear: async () => {
+            isCleared = true;
+            clearTimeout(saveTimer);
+            closeBanner();
+            await deleteDraft(draftKey);
+        },
+    };
+}
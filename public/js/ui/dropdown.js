@@ -1,4 +1,12 @@
-export function initDropdown(buttonSelector, dropdownSelector) {
+/**
+ * @param {string} buttonSelector
+ * @param {string} dropdownSelector
+ * @param {object} [options]
+ * @param {() => void} [options.onOpen] 드롭다운이 열린 직후 호출 (내용을 불러오는 등)
+ * @param {() => void} [options.onClose]
+ * @returns {{ open: () => void, close: () => void, isOpen: () => boolean } | undefined}
+ */
+export function initDropdown(buttonSelector, dropdownSelector, { onOpen, onClose } = {}) {
     const profileBtn = document.querySelector(buttonSelector);
     const profileDropdown = document.querySelector(dropdownSelector);
 
@@ -34,6 +42,7 @@ export function initDropdown(buttonSelector, dropdownSelector) {
     // 드롭다운 내부 키보드 네비게이션
     profileDropdown.addEventListener('keydown', (e) => {
         const menuItems = profileDropdown.querySelectorAll('[role="menuitem"]');
+        if (menuItems.length === 0) return;
         const currentIndex = Array.from(menuItems).indexOf(e.target);
         
         switch (e.key) {
@@ -68,11 +77,22 @@ export function initDropdown(buttonSelector, dropdownSelector) {
         if (firstMenuItem) {
             firstMenuItem.focus();
         }
+
+        onOpen?.();
     }
 
     function closeDropdown() {
+        if (!profileDropdown.classList.contains('show')) return;
         profileDropdown.classList.remove('show');
         profileBtn.setAttribute('aria-expanded', 'false');
         profileDropdown.setAttribute('aria-hidden', 'true');
+
+        onClose?.();
     }
+
+    return {
+        open: openDropdown,
+        close: closeDropdown,
+        isOpen: () => profileDropdown.classList.contains('show'),
+    };
 }
@@ -0,0 +1,64 @@
+/**
+ * 모달/다이얼로그 포커스 가두기
+ * - Tab / Shift+Tab 포커스가 container 밖으로 나가지 않도록 처음과 끝에서 순환
+ * - Escape를 누르면 onEscape 호출
+ * - 해제하면 열기 전에 포커스가 있던 요소로 포커스를 되돌림
+ */
+
+export const FOCUSABLE_SELECTORS = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/** 화면에 보이는 포커스 가능한 요소 (숨겨진 요소 제외) */
+export function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTORS))
+        .filter((element) => !element.closest('[hidden]') && element.getClientRects().length > 0);
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {object} [options]
+ * @param {() => void} [options.onEscape]
+ * @param {HTMLElement | null} [options.initialFocus] 처음 포커스할 요소 (기본: 첫 번째 포커스 가능한 요소)
+ * @returns {() => void} 포커스 가두기 해제
+ */
+export function trapFocus(container, { onEscape, initialFocus = null } = {}) {
+    const previouslyFocusedElement = document.activeElement instanceof HTMLElement
+        ? document.activeElement
+        : null;
+
+    const handleKeydown = (event) => {
+        if (event.key === 'Escape' && onEscape) {
+            event.preventDefault();
+            event.stopPropagation();
+            onEscape();
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        // 다이얼로그 내용이 바뀔 수 있으므로 누를 때마다 다시 계산
+        const focusableElements = getFocusableElements(container);
+        if (focusableElements.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusableElements[0];
+        const last = focusableElements[focusableElements.length - 1];
+
+        if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        } else if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        }
+    };
+
+    container.addEventListener('keydown', handleKeydown);
+    (initialFocus ?? getFocusableElements(container)[0] ?? container).focus();
+
+    return () => {
+        container.removeEventListener('keydown', handleKeydown);
+        if (previouslyFocusedElement?.isConnected) previouslyFocusedElement.focus();
+    };
+}
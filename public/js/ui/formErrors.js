@@ -0,0 +1,126 @@
+import { ApiError } from '/js/api/errors.js';
+
+/**
+ * 폼 필드 에러 표시
+ * 필드가 속한 .form-group 끝에 .form-error 메시지를 추가하고
+ * aria-invalid / aria-describedby를 연결하여 스크린 리더에서도 에러를 읽을 수 있도록 함
+ */
+
+function resolveField(form, name) {
+    const field = form.elements.namedItem(name);
+    if (!field) return null;
+    // 같은 name을 가진 요소가 여러 개인 경우(RadioNodeList) 첫 번째 요소 기준
+    return field instanceof RadioNodeList ? field[0] : field;
+}
+
+function getErrorElementId(field) {
+    return `${field.id || field.name}-error`;
+}
+
+function addDescribedBy(field, id) {
+    const ids = (field.getAttribute('aria-describedby') ?? '').split(/\s+/).filter(Boolean);
+    if (!ids.includes(id)) ids.push(id);
+    field.setAttribute('aria-describedby', ids.join(' '));
+}
+
+function removeDescribedBy(field, id) {
+    const ids = (field.getAttribute('aria-describedby') ?? '')
+        .split(/\s+/)
+        .filter((item) => item && item !== id);
+    if (ids.length > 0) {
+        field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+        field.removeAttribute('aria-describedby');
+    }
+}
+
+export function clearFieldError(field) {
+    if (!field) return;
+
+    const errorId = getErrorElementId(field);
+    document.getElementById(errorId)?.remove();
+    removeDescribedBy(field, errorId);
+    field.removeAttribute('aria-invalid');
+    field.closest('.form-group')?.classList.remove('error');
+}
+
+/**
+ * @param {HTMLElement} field
+ * @param {string} message
+ * @param {object} [options]
+ * @param {boolean} [options.clearOnEdit] 값을 수정하면 에러 해제 (입력할 때마다 다시 검사하는 formValidation.js는 false)
+ */
+export function setFieldError(field, message, { clearOnEdit = true } = {}) {
+    if (!field) return;
+
+    const errorId = getErrorElementId(field);
+    let errorElement = document.getElementById(errorId);
+    if (!errorElement) {
+        errorElement = document.createElement('p');
+        errorElement.id = errorId;
+        errorElement.className = 'form-error';
+        errorElement.setAttribute('role', 'alert');
+        const group = field.closest('.form-group');
+        if (group) {
+            group.appendChild(errorElement);
+        } else {
+            field.insertAdjacentElement('afterend', errorElement);
+        }
+    }
+    errorElement.textContent = message;
+
+    field.setAttribute('aria-invalid', 'true');
+    addDescribedBy(field, errorId);
+    field.closest('.form-group')?.classList.add('error');
+
+    if (!clearOnEdit) return;
+
+    // 사용자가 값을 수정하면 에러 해제
+    const handleEdit = () => {
+        clearFieldError(field);
+        field.removeEventListener('input', handleEdit);
+        field.removeEventListener('change', handleEdit);
+    };
+    field.addEventListener('input', handleEdit);
+    field.addEventListener('change', handleEdit);
+}
+
+export function clearFormErrors(form) {
+    if (!form) return;
+    form.querySelectorAll('[aria-invalid="true"]').forEach((field) => clearFieldError(field));
+}
+
+/**
+ * 필드별 에러 메시지를 폼에 표시
+ * @param {HTMLFormElement} form
+ * @param {Record<string, string>} fieldErrors 필드명 → 메시지
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.fieldMap] API 필드명 → 폼 input name 매핑
+ * @returns {number} 표시된 에러 개수
+ */
+export function showFieldErrors(form, fieldErrors, { fieldMap = {} } = {}) {
+    if (!form || !fieldErrors) return 0;
+
+    let firstInvalidField = null;
+    let count = 0;
+
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+        const field = resolveField(form, fieldMap[name] ?? name);
+        if (!field) return;
+        setFieldError(field, message);
+        firstInvalidField ??= field;
+        count += 1;
+    });
+
+    firstInvalidField?.focus();
+    return count;
+}
+
+/**
+ * ApiError의 필드 에러를 폼에 표시
+ * 표시할 수 있는 필드 에러가 없으면 false를 반환하므로 호출하는 쪽에서 일반 에러 메시지로 처리
+ */
+export function applyApiErrorToForm(form, error, options = {}) {
+    if (!(error instanceof ApiError) || !error.hasFieldErrors) return false;
+    return showFieldErrors(form, error.fieldErrors, options) > 0;
+}
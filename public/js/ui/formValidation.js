@@ -0,0 +1,428 @@
+import { clearFieldError, setFieldError } from '/js/ui/formErrors.js';
+import { countGraphemes, truncateGraphemes } from '/js/utils/graphemes.js';
+
+/**
+ * 선언형 폼 검증
+ * 필드마다 규칙을 선언하면 글자 수 카운터와 에러 메시지를 같은 방식으로 표시함
+ * 에러 표시는 서버 에러와 같은 formErrors.js를 사용
+ *
+ * 규칙
+ * - required   : 필수 입력 (true 또는 에러 메시지)
+ * - minLength  : 최소 글자 수 / maxLength : 최대 글자 수 (글자 수는 grapheme 단위, graphemes.js 참고)
+ * - pattern    : 정규식
+ * - matches    : 값이 같아야 하는 다른 필드의 name (비밀번호 확인 등)
+ * - notMatches : 값이 달라야 하는 다른 필드의 name (새 비밀번호와 현재 비밀번호 등)
+ * - validate   : (value, { signal, form }) => 에러 메시지 | null, Promise 가능 (중복 확인 등 비동기 검사)
+ * - successMessage : 모든 규칙을 통과했을 때 표시할 메시지 (예: 사용 가능한 이메일입니다.)
+ * - pendingMessage : 비동기 검사 중에 표시할 메시지
+ * - failedMessage  : 비동기 검사 요청이 실패했을 때 표시할 메시지 (입력은 막지 않고 서버 검증에 맡김)
+ * - messages   : 규칙별 에러 메시지 덮어쓰기 { required, minLength, maxLength, pattern, matches, notMatches }
+ * - trim       : 검사 전에 앞뒤 공백 제거 (기본 true, 비밀번호는 false)
+ * - counter    : 글자 수 카운터 표시 (maxLength가 있으면 기본 true)
+ * - truncate   : maxLength를 넘는 입력을 잘라냄 (maxLength가 있으면 기본 true)
+ * - warningThreshold : 남은 글자 수가 이 값 이하이면 카운터 강조
+ *
+ * 에러는 필드를 벗어날 때(blur)와 제출할 때 표시하고, 한 번 검사한 필드는 입력할 때마다 다시 검사
+ * 비동기 검사는 동기 규칙을 통과하면 입력이 멈춘 뒤 바로 실행하고 결과를 표시함
+ * 화면 표시와 별개로 필드 상태(valid / invalid / pending)는 입력할 때마다 계산해서 onStateChange로 알림
+ */
+
+const DEFAULT_MESSAGES = {
+    required: () => '필수 입력 항목입니다.',
+    minLength: (minLength) => `${minLength}자 이상 입력해주세요.`,
+    maxLength: (maxLength) => `최대 ${maxLength}자까지 입력할 수 있습니다.`,
+    pattern: () => '형식이 올바르지 않습니다.',
+    matches: () => '입력한 값이 일치하지 않습니다.',
+    notMatches: () => '이전 값과 다른 값을 입력해주세요.',
+};
+
+const DEFAULT_FAILED_MESSAGE = '확인하지 못했습니다. 제출할 때 다시 확인합니다.';
+
+// 비동기 검사 요청 자체가 실패한 결과 (통과와 구분해서 표시하고, 다음 검사에서 다시 요청하도록 저장하지 않음)
+const ASYNC_CHECK_FAILED = Symbol('asyncCheckFailed');
+
+const ASYNC_VALIDATE_DELAY_MS = 400;
+
+export const FIELD_STATE = Object.freeze({
+    VALID: 'valid',
+    INVALID: 'invalid',
+    PENDING: 'pending',
+});
+
+function getMessage(rules, key, ...args) {
+    const custom = rules.messages?.[key] ?? (key === 'required' && typeof rules.required === 'string' ? rules.required : null);
+    return custom ?? DEFAULT_MESSAGES[key](...args);
+}
+
+/** 페이지에 미리 둔 [data-field="<name>-counter"] 요소가 있으면 사용하고 없으면 필드 뒤에 만듦 */
+function resolveCounterElement(field, counterElement) {
+    if (counterElement) return { element: counterElement, isCreated: false };
+
+    const container = field.closest('.form-group') ?? field.parentElement;
+    const existing = field.name ? container?.querySelector(`[data-field="${field.name}-counter"]`) : null;
+    if (existing) return { element: existing, isCreated: false };
+
+    const element = document.createElement('p');
+    element.className = 'form-counter';
+    element.setAttribute('aria-live', 'polite');
+    field.insertAdjacentElement('afterend', element);
+    return { element, isCreated: true };
+}
+
+function getStatusElementId(field) {
+    return `${field.id || field.name}-status`;
+}
+
+/** 에러가 아닌 안내 메시지 표시 (type: 'success' 사용 가능 / 'pending' 확인 중 / 'failed' 확인 실패) */
+function setFieldStatus(field, message, type) {
+    const statusId = getStatusElementId(field);
+    let statusElement = document.getElementById(statusId);
+    if (!statusElement) {
+        statusElement = document.createElement('p');
+        statusElement.id = statusId;
+        statusElement.setAttribute('role', 'status');
+        const group = field.closest('.form-group');
+        if (group) {
+            group.appendChild(statusElement);
+        } else {
+            field.insertAdjacentElement('afterend', statusElement);
+        }
+    }
+    statusElement.className = type === 'success' ? 'form-success' : 'form-help';
+    statusElement.textContent = message;
+    field.closest('.form-group')?.classList.toggle('success', type === 'success');
+}
+
+function clearFieldStatus(field) {
+    document.getElementById(getStatusElementId(field))?.remove();
+    field.closest('.form-group')?.classList.remove('success');
+}
+
+/**
+ * 필드 하나에 검증 규칙 연결 (폼 밖의 textarea에도 사용 가능)
+ * @param {HTMLInputElement | HTMLTextAreaElement} field
+ * @param {object} rules 위 규칙 참고
+ * @param {object} [options]
+ * @param {HTMLFormElement | null} [options.form] matches / notMatches 규칙에서 다른 필드를 찾을 폼
+ * @param {HTMLElement} [options.counterElement] 카운터로 사용할 요소
+ * @param {(state: string) => void} [options.onStateChange] 필드 상태(FIELD_STATE)가 바뀔 때 호출
+ */
+export function attachFieldValidation(field, rules = {}, { form = field?.form ?? null, counterElement = null, onStateChange } = {}) {
+    if (!field) {
+        return {
+            validate: async () => true,
+            refresh: () => {},
+            reset: () => {},
+            destroy: () => {},
+            getState: () => FIELD_STATE.VALID,
+            counterElement: null,
+        };
+    }
+
+    const { maxLength, minLength } = rules;
+    const shouldTrim = rules.trim !== false;
+    const hasCounter = rules.counter ?? maxLength !== undefined;
+    const shouldTruncate = rules.truncate ?? maxLength !== undefined;
+    const warningThreshold = rules.warningThreshold ?? Math.max(1, Math.min(100, Math.floor((maxLength ?? 0) * 0.1)));
+
+    let isTouched = false;
+    let state = null;
+    let asyncTimer = null;
+    // 진행 중인 비동기 검사 (같은 값이면 재사용하고, 값이 바뀌면 이전 요청은 취소)
+    let asyncCheck = null;
+    // 끝난 비동기 검사 결과 (값 → 에러 메시지 | null), 지웠다가 다시 입력한 값은 바로 표시
+    const asyncResults = new Map();
+
+    if (rules.required) field.setAttribute('aria-required', 'true');
+
+    const counter = hasCounter ? resolveCounterElement(field, counterElement) : null;
+
+    const getValue = () => (shouldTrim ? field.value.trim() : field.value);
+
+    const getRelatedField = (name) => {
+        if (!name || !form) return null;
+        return form.elements.namedItem(name);
+    };
+
+    const getRelatedValue = (relatedField) => (shouldTrim ? relatedField.value.trim() : relatedField.value);
+
+    const updateCounter = () => {
+        if (!counter) return;
+        const currentLength = countGraphemes(field.value);
+        counter.element.textContent = `${currentLength} / ${maxLength}`;
+        counter.element.classList.toggle('form-counter--warning', maxLength - currentLength <= warningThreshold);
+    };
+
+    const enforceMaxLength = () => {
+        if (!shouldTruncate || maxLength === undefined) return;
+        const truncated = truncateGraphemes(field.value, maxLength);
+        if (truncated !== field.value) field.value = truncated;
+    };
+
+    /** 동기 규칙 검사, 에러 메시지 또는 null */
+    const checkSyncRules = (value) => {
+        if (value.length === 0) {
+            return rules.required ? getMessage(rules, 'required') : null;
+        }
+        const length = countGraphemes(value);
+        if (minLength !== undefined && length < minLength) return getMessage(rules, 'minLength', minLength);
+        if (maxLength !== undefined && length > maxLength) return getMessage(rules, 'maxLength', maxLength);
+        if (rules.pattern && !rules.pattern.test(value)) return getMessage(rules, 'pattern');
+
+        const matchedField = getRelatedField(rules.matches);
+        if (matchedField && value !== getRelatedValue(matchedField)) return getMessage(rules, 'matches');
+
+        const differentField = getRelatedField(rules.notMatches);
+        if (differentField && value === getRelatedValue(differentField)) return getMessage(rules, 'notMatches');
+        return null;
+    };
+
+    const setState = (nextState) => {
+        if (state === nextState) return;
+        state = nextState;
+        onStateChange?.(state);
+    };
+
+    const hasAsyncRule = (value) => Boolean(rules.validate) && value.length > 0;
+
+    const cancelAsyncCheck = () => {
+        clearTimeout(asyncTimer);
+        asyncTimer = null;
+        asyncCheck?.controller.abort();
+        asyncCheck = null;
+    };
+
+    const checkAsyncRule = (value) => {
+        if (asyncResults.has(value)) return Promise.resolve(asyncResults.get(value));
+        if (asyncCheck?.value === value) return asyncCheck.promise;
+
+        asyncCheck?.controller.abort();
+        const controller = new AbortController();
+        const promise = Promise.resolve()
+            .then(() => rules.validate(value, { signal: controller.signal, form }))
+            .then((message) => {
+                asyncResults.set(value, message || null);
+                return message || null;
+            })
+            .catch((error) => {
+                if (controller.signal.aborted) return null;
+                // 검사 자체가 실패한 경우 입력을 막지 않고 서버 검증에 맡김
+                console.warn('입력값 확인 중 오류가 발생했습니다:', error);
+                return ASYNC_CHECK_FAILED;
+            })
+            .finally(() => {
+                if (asyncCheck?.controller === controller) asyncCheck = null;
+            });
+        asyncCheck = { value, controller, promise };
+        return promise;
+    };
+
+    const showResult = (message) => {
+        if (message === ASYNC_CHECK_FAILED) {
+            clearFieldError(field);
+            setFieldStatus(field, rules.failedMessage ?? DEFAULT_FAILED_MESSAGE, 'failed');
+            return;
+        }
+        if (message) {
+            clearFieldStatus(field);
+            setFieldError(field, message, { clearOnEdit: false });
+            return;
+        }
+        clearFieldError(field);
+        if (rules.successMessage && getValue().length > 0) {
+            setFieldStatus(field, rules.successMessage, 'success');
+        } else {
+            clearFieldStatus(field);
+        }
+    };
+
+    /** 규칙을 모두 검사하고 결과를 표시, 유효하면 true */
+    const validate = async () => {
+        clearTimeout(asyncTimer);
+        asyncTimer = null;
+        isTouched = true;
+        const value = getValue();
+
+        const syncError = checkSyncRules(value);
+        if (syncError || !hasAsyncRule(value)) {
+            showResult(syncError);
+            setState(syncError ? FIELD_STATE.INVALID : FIELD_STATE.VALID);
+            return !syncError;
+        }
+
+        setState(FIELD_STATE.PENDING);
+        if (!asyncResults.has(value)) {
+            field.setAttribute('aria-busy', 'true');
+            clearFieldError(field);
+            if (rules.pendingMessage) setFieldStatus(field, rules.pendingMessage, 'pending');
+        }
+        const asyncResult = await checkAsyncRule(value);
+        if (getValue() !== value) {
+            // 입력이 이어지는 중이면 예약된 검사가 결과를 표시하고, 아니면 새 값 기준으로 다시 검사
+            return asyncTimer ? false : validate();
+        }
+        field.removeAttribute('aria-busy');
+        showResult(asyncResult);
+        const asyncError = asyncResult === ASYNC_CHECK_FAILED ? null : asyncResult;
+        setState(asyncError ? FIELD_STATE.INVALID : FIELD_STATE.VALID);
+        return !asyncError;
+    };
+
+    /**
+     * 입력 중에는 동기 규칙을 바로 검사하고(검사한 적 있는 필드만 표시) 비동기 검사는 입력이 멈춘 뒤 실행
+     * 이전 값으로 진행 중인 비동기 검사는 취소
+     */
+    const checkWhileTyping = () => {
+        const value = getValue();
+        const syncError = checkSyncRules(value);
+        if (asyncCheck && asyncCheck.value !== value) cancelAsyncCheck();
+        else clearTimeout(asyncTimer);
+
+        if (syncError || !hasAsyncRule(value)) {
+            asyncTimer = null;
+            if (isTouched) showResult(syncError);
+            field.removeAttribute('aria-busy');
+            setState(syncError ? FIELD_STATE.INVALID : FIELD_STATE.VALID);
+            return;
+        }
+
+        if (asyncResults.has(value)) {
+            validate();
+            return;
+        }
+        // 이전 값의 검사 결과가 새 값의 결과처럼 보이지 않도록 지움
+        clearFieldError(field);
+        clearFieldStatus(field);
+        setState(FIELD_STATE.PENDING);
+        asyncTimer = setTimeout(validate, ASYNC_VALIDATE_DELAY_MS);
+    };
+
+    const handleInput = (event) => {
+        // 한글 조합 중에 값을 바꾸면 조합이 깨지므로 조합이 끝난 뒤에 자름
+        if (!event.isComposing) enforceMaxLength();
+        updateCounter();
+        checkWhileTyping();
+    };
+
+    const handleCompositionEnd = () => {
+        enforceMaxLength();
+        updateCounter();
+    };
+
+    const handleBlur = () => {
+        // 아무것도 입력하지 않고 지나간 필드는 제출할 때 검사
+        if (!isTouched && field.value.length === 0) return;
+        validate();
+    };
+
+    // 비교 대상 필드가 바뀌면 이 필드도 다시 검사
+    const handleRelatedInput = (event) => {
+        if (event.target === getRelatedField(rules.matches) || event.target === getRelatedField(rules.notMatches)) {
+            checkWhileTyping();
+        }
+    };
+
+    field.addEventListener('input', handleInput);
+    field.addEventListener('compositionend', handleCompositionEnd);
+    field.addEventListener('blur', handleBlur);
+    if ((rules.matches || rules.notMatches) && form) form.addEventListener('input', handleRelatedInput);
+
+    updateCounter();
+    checkWhileTyping();
+
+    return {
+        validate,
+        /** 코드로 값을 바꾼 뒤 카운터와 상태 갱신 */
+        refresh: () => {
+            enforceMaxLength();
+            updateCounter();
+            checkWhileTyping();
+        },
+        /** 에러와 검사 상태 초기화 */
+        reset: () => {
+            isTouched = false;
+            cancelAsyncCheck();
+            field.removeAttribute('aria-busy');
+            clearFieldError(field);
+            clearFieldStatus(field);
+            checkWhileTyping();
+        },
+        /** 리스너, 에러, 직접 만든 카운터 제거 */
+        destroy: () => {
+            cancelAsyncCheck();
+            field.removeEventListener('input', handleInput);
+            field.removeEventListener('compositionend', handleCompositionEnd);
+            field.removeEventListener('blur', handleBlur);
+            form?.removeEventListener('input', handleRelatedInput);
+            clearFieldError(field);
+            clearFieldStatus(field);
+            if (counter?.isCreated) counter.element.remove();
+        },
+        getState: () => state,
+        counterElement: counter?.element ?? null,
+    };
+}
+
+/**
+ * 폼 전체 검증
+ * 브라우저 기본 검증 말풍선 대신 이 모듈의 에러 표시를 사용하도록 novalidate를 설정함
+ * @param {HTMLFormElement} form
+ * @param {Record<string, object>} fields 필드 name → 규칙
+ * @param {object} [options]
+ * @param {(isValid: boolean) => void} [options.onValidityChange] 모든 필드가 유효한지 여부가 바뀔 때 호출 (제출 버튼 활성화 등)
+ */
+export function createFormValidator(form, fields, { onValidityChange } = {}) {
+    if (!form) {
+        return {
+            validate: async () => true,
+            refresh: () => {},
+            reset: () => {},
+            getField: () => null,
+            isValid: () => true,
+        };
+    }
+
+    form.noValidate = true;
+
+    const handles = new Map();
+    let isFormValid = null;
+
+    const isValid = () => Array.from(handles.values()).every((handle) => handle.getState() === FIELD_STATE.VALID);
+
+    const notifyValidity = () => {
+        // 필드를 모두 연결하기 전에 호출된 상태 변경은 무시
+        if (handles.size < Object.keys(fields).length) return;
+        const nextValidity = isValid();
+        if (nextValidity === isFormValid) return;
+        isFormValid = nextValidity;
+        onValidityChange?.(isFormValid);
+    };
+
+    Object.entries(fields).forEach(([name, rules]) => {
+        const field = form.elements.namedItem(name);
+        handles.set(name, { field, ...attachFieldValidation(field, rules, { form, onStateChange: notifyValidity }) });
+    });
+    notifyValidity();
+
+    return {
+        /**
+         * 모든 필드를 검사하고 첫 번째 잘못된 필드로 포커스 이동
+         * @returns {Promise<boolean>}
+         */
+        validate: async () => {
+            const entries = Array.from(handles.values());
+            const results = await Promise.all(entries.map((handle) => handle.validate()));
+            const firstInvalid = entries.find((handle, index) => !results[index] && handle.field);
+            if (firstInvalid) {
+                // 마크다운 미리보기처럼 필드를 숨기는 UI가 필드를 다시 보여줄 수 있도록 invalid 이벤트 전달
+                firstInvalid.field.dispatchEvent(new Event('invalid', { cancelable: true }));
+                firstInvalid.field.focus();
+            }
+            return !firstInvalid;
+        },
+        refresh: () => handles.forEach((handle) => handle.refresh()),
+        reset: () => handles.forEach((handle) => handle.reset()),
+        getField: (name) => handles.get(name) ?? null,
+        isValid,
+    };
+}
@@ -1,4 +1,5 @@
 import { initDropdown } from '/js/ui/dropdown.js';
+import { initNotificationCenter } from '/js/ui/notifications.js';
 import { UserAPI } from '/js/api/users.js';
 
 function loadHeader(){
@@ -12,7 +13,14 @@ function loadHeader(){
 document.addEventListener('DOMContentLoaded', () => {
     loadHeader().
         then(() => {
-            initDropdown('.profile-btn', '.profile-dropdown');
+            // 두 드롭다운이 동시에 열리지 않도록 한쪽이 열리면 다른 쪽을 닫음
+            let notificationDropdown = null;
+            const profileDropdown = initDropdown('.profile-btn', '.profile-dropdown', {
+                onOpen: () => notificationDropdown?.close(),
+            });
+            notificationDropdown = initNotificationCenter({
+                onOpen: () => profileDropdown?.close(),
+            });
 
             const profileImageUrl = localStorage.getItem('profileImageUrl');
 
@@ -0,0 +1,247 @@
+import { openDialog } from '/js/ui/dialog.js';
+import { ImageProcessingError } from '/js/utils/imageProcessing.js';
+
+/**
+ * 프로필 이미지 자르기 다이얼로그
+ * - 정사각형 영역 고정, 드래그(또는 방향키)로 이동, 슬라이더(또는 휠)로 확대, 버튼으로 90도 회전
+ * - 이미지는 항상 영역을 가득 채우도록 이동 범위와 최소 배율을 제한
+ * - [적용]을 누르면 자른 이미지를 outputSize 크기의 정사각형 JPEG 파일로 반환, 취소하면 null
+ */
+
+const STAGE_SIZE = 280;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.1;
+const KEYBOARD_PAN_STEP = 10;
+const DEFAULT_OUTPUT_SIZE = 512;
+const OUTPUT_QUALITY = 0.92;
+
+let isDialogOpen = false;
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function toCroppedFileName(name) {
+    return `${name.replace(/\.[^./]*$/, '') || 'profile'}.jpg`;
+}
+
+/** 다이얼로그 본문 (자를 영역과 확대/회전 컨트롤), 제목과 버튼은 dialog.js에서 만듦 */
+function createCropContent() {
+    const template = document.createElement('template');
+    template.innerHTML = `
+        <div class="crop-stage" tabindex="0" role="img" aria-label="자를 영역 미리보기 (방향키로 이동)">
+            <canvas class="crop-canvas"></canvas>
+            <div class="crop-guide" aria-hidden="true"></div>
+        </div>
+        <div class="crop-controls">
+            <button type="button" class="btn btn-ghost btn-sm crop-rotate" data-rotate="-90" aria-label="왼쪽으로 90도 회전">&#8634;</button>
+            <input type="range" class="crop-zoom" min="1" max="${MAX_ZOOM}" step="${ZOOM_STEP}" value="1" aria-label="확대">
+            <button type="button" class="btn btn-ghost btn-sm crop-rotate" data-rotate="90" aria-label="오른쪽으로 90도 회전">&#8635;</button>
+        </div>
+    `;
+    return template.content;
+}
+
+/**
+ * @param {File} file
+ * @param {object} [options]
+ * @param {number} [options.outputSize] 결과 이미지의 한 변 길이(px)
+ * @returns {Promise<File | null>}
+ * @throws {ImageProcessingError} 이미지를 읽을 수 없는 경우
+ */
+export async function openImageCropDialog(file, { outputSize = DEFAULT_OUTPUT_SIZE } = {}) {
+    if (isDialogOpen) return null;
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        throw new ImageProcessingError('INVALID_IMAGE', '이미지를 읽을 수 없습니다. 다른 이미지를 선택해주세요.');
+    }
+
+    isDialogOpen = true;
+
+    const content = createCropContent();
+    const stage = content.querySelector('.crop-stage');
+    const canvas = content.querySelector('.crop-canvas');
+    const zoomInput = content.querySelector('.crop-zoom');
+    const context = canvas.getContext('2d');
+
+    // 고해상도 화면에서도 선명하도록 캔버스 픽셀 수를 늘림
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = STAGE_SIZE * pixelRatio;
+    canvas.height = STAGE_SIZE * pixelRatio;
+
+    const state = { rotation: 0, zoom: 1, x: 0, y: 0 };
+
+    const getRotatedSize = () => (state.rotation % 180 === 0
+        ? { width: bitmap.width, height: bitmap.height }
+        : { width: bitmap.height, height: bitmap.width });
+
+    /** 영역을 가득 채우는 최소 배율 x 확대 배율 */
+    const getScale = () => {
+        const { width, height } = getRotatedSize();
+        return (STAGE_SIZE / Math.min(width, height)) * state.zoom;
+    };
+
+    /** 이미지 가장자리가 영역 안으로 들어오지 않도록 이동 범위 제한 */
+    const clampOffset = () => {
+        const { width, height } = getRotatedSize();
+        const scale = getScale();
+        const maxX = (width * scale - STAGE_SIZE) / 2;
+        const maxY = (height * scale - STAGE_SIZE) / 2;
+        state.x = clamp(state.x, -maxX, maxX);
+        state.y = clamp(state.y, -maxY, maxY);
+    };
+
+    const drawImage = (targetContext, ratio) => {
+        const scale = getScale();
+        targetContext.save();
+        targetContext.scale(ratio, ratio);
+        targetContext.translate(STAGE_SIZE / 2 + state.x, STAGE_SIZE / 2 + state.y);
+        targetContext.rotate((state.rotation * Math.PI) / 180);
+        targetContext.scale(scale, scale);
+        targetContext.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+        targetContext.restore();
+    };
+
+    const render = () => {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        drawImage(context, pixelRatio);
+    };
+
+    const setZoom = (nextZoom) => {
+        const previousScale = getScale();
+        state.zoom = clamp(nextZoom, 1, MAX_ZOOM);
+        // 영역 가운데를 기준으로 확대
+        const ratio = getScale() / previousScale;
+        state.x *= ratio;
+        state.y *= ratio;
+        zoomInput.value = String(state.zoom);
+        clampOffset();
+        render();
+    };
+
+    const panBy = (dx, dy) => {
+        state.x += dx;
+        state.y += dy;
+        clampOffset();
+        render();
+    };
+
+    const createCroppedFile = () => new Promise((resolve, reject) => {
+        const output = document.createElement('canvas');
+        output.width = outputSize;
+        output.height = outputSize;
+        const outputContext = output.getContext('2d');
+        // JPEG는 투명도가 없으므로 흰색 배경
+        outputContext.fillStyle = '#FFFFFF';
+        outputContext.fillRect(0, 0, outputSize, outputSize);
+        outputContext.imageSmoothingQuality = 'high';
+        drawImage(outputContext, outputSize / STAGE_SIZE);
+        output.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('자른 이미지를 만들지 못했습니다.'));
+                return;
+            }
+            resolve(new File([blob], toCroppedFileName(file.name), { type: 'image/jpeg', lastModified: Date.now() }));
+        }, 'image/jpeg', OUTPUT_QUALITY);
+    });
+
+    /** 드래그로 이동 시작 */
+
+    let dragStart = null;
+
+    stage.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0) return;
+        stage.setPointerCapture(event.pointerId);
+        dragStart = { pointerX: event.clientX, pointerY: event.clientY, x: state.x, y: state.y };
+        stage.classList.add('is-dragging');
+    });
+
+    stage.addEventListener('pointermove', (event) => {
+        if (!dragStart) return;
+        state.x = dragStart.x + (event.clientX - dragStart.pointerX);
+        state.y = dragStart.y + (event.clientY - dragStart.pointerY);
+        clampOffset();
+        render();
+    });
+
+    const endDrag = () => {
+        dragStart = null;
+        stage.classList.remove('is-dragging');
+    };
+    stage.addEventListener('pointerup', endDrag);
+    stage.addEventListener('pointercancel', endDrag);
+
+    /** 드래그로 이동 끝 */
+
+    stage.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        setZoom(state.zoom + (event.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP));
+    }, { passive: false });
+
+    stage.addEventListener('keydown', (event) => {
+        const offsets = {
+            ArrowLeft: [-KEYBOARD_PAN_STEP, 0],
+            ArrowRight: [KEYBOARD_PAN_STEP, 0],
+            ArrowUp: [0, -KEYBOARD_PAN_STEP],
+            ArrowDown: [0, KEYBOARD_PAN_STEP],
+        };
+        if (offsets[event.key]) {
+            event.preventDefault();
+            panBy(...offsets[event.key]);
+        } else if (event.key === '+' || event.key === '=') {
+            event.preventDefault();
+            setZoom(state.zoom + ZOOM_STEP);
+        } else if (event.key === '-') {
+            event.preventDefault();
+            setZoom(state.zoom - ZOOM_STEP);
+        }
+    });
+
+    zoomInput.addEventListener('input', () => setZoom(Number(zoomInput.value)));
+
+    content.querySelectorAll('.crop-rotate').forEach((button) => {
+        button.addEventListener('click', () => {
+            state.rotation = (state.rotation + Number(button.dataset.rotate) + 360) % 360;
+            clampOffset();
+            render();
+        });
+    });
+
+    render();
+
+    let cropError = null;
+    const dialog = openDialog({
+        title: '프로필 사진 자르기',
+        description: '드래그하거나 방향키로 위치를 옮기고, 확대/회전해서 원하는 영역을 맞춰주세요.',
+        content,
+        className: 'modal-crop',
+        initialFocus: stage,
+        actions: [
+            { label: '취소', variant: 'outline', value: null },
+            {
+                label: '적용',
+                variant: 'primary',
+                onClick: async (event, close) => {
+                    event.currentTarget.disabled = true;
+                    try {
+                        close(await createCroppedFile());
+                    } catch (error) {
+                        cropError = error;
+                        close(null);
+                    }
+                },
+            },
+        ],
+        onClose: () => {
+            bitmap.close();
+            isDialogOpen = false;
+        },
+    });
+
+    const croppedFile = await dialog.result;
+    if (cropError) throw cropError;
+    return croppedFile;
+}
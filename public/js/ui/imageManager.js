@@ -0,0 +1,337 @@
+import { isAbortError } from '/js/api/base.js';
+import { ImageProcessingError } from '/js/utils/imageProcessing.js';
+
+/**
+ * 게시물 이미지 관리
+ * - 선택한 이미지를 썸네일로 보여주고 바로 업로드 (이미지별 진행률 표시, 실패하면 다시 시도)
+ * - 드래그하거나 이동 버튼으로 순서 변경, 삭제 버튼으로 개별 삭제
+ * - 여러 번 나눠서 선택해도 전체 개수가 최대 개수를 넘지 않도록 제한
+ *
+ * 파일 입력은 이미지를 고르는 용도로만 쓰고, 선택한 이미지 목록은 이 모듈이 관리함
+ */
+
+const DEFAULT_MAX_IMAGES = 5;
+
+let nextItemKey = 1;
+
+function formatProgress(ratio) {
+    return Math.round(Math.min(Math.max(ratio, 0), 1) * 100);
+}
+
+/**
+ * @param {HTMLInputElement} input 이미지 선택용 파일 입력
+ * @param {object} options
+ * @param {(file: File, options: { onProgress: (ratio: number) => void, signal: AbortSignal }) => Promise<number>} options.upload
+ *        이미지를 업로드하고 이미지 ID를 반환
+ * @param {number} [options.maxImages]
+ * @param {() => void} [options.onChange] 목록, 순서, 업로드 상태가 바뀔 때 호출
+ */
+export function createImageManager(input, { upload, maxImages = DEFAULT_MAX_IMAGES, onChange = () => {} } = {}) {
+    /** @type {{ key: string, file: File | null, previewUrl: string, status: 'uploading' | 'done' | 'error', errorMessage: string | null, progress: number, imageId: number | null, controller: AbortController | null, element: HTMLLIElement }[]} */
+    let items = [];
+    let draggedItem = null;
+
+    const listElement = document.createElement('ul');
+    listElement.className = 'image-manager';
+    listElement.setAttribute('aria-label', '선택한 이미지');
+
+    const summaryElement = document.createElement('p');
+    summaryElement.className = 'form-help image-manager-summary';
+    summaryElement.setAttribute('aria-live', 'polite');
+
+    input.insertAdjacentElement('afterend', summaryElement);
+    input.insertAdjacentElement('afterend', listElement);
+
+    const findItem = (element) => items.find((item) => item.element === element.closest('.image-manager-item'));
+
+    const updateSummary = (message = '') => {
+        const counts = `이미지 ${items.length} / ${maxImages}`;
+        summaryElement.textContent = message ? `${counts} · ${message}` : counts;
+        // 최대 개수를 채우면 더 고를 수 없도록 파일 입력 비활성화
+        input.disabled = items.length >= maxImages;
+    };
+
+    const updateItem = (item) => {
+        const index = items.indexOf(item);
+        const { element } = item;
+        const label = `이미지 ${index + 1}`;
+
+        element.classList.toggle('is-uploading', item.status === 'uploading');
+        element.classList.toggle('is-error', item.status === 'error');
+        element.querySelector('.image-manager-thumb').alt = item.file ? `${label}: ${item.file.name}` : label;
+
+        const progressElement = element.querySelector('.image-manager-progress');
+        progressElement.hidden = item.status !== 'uploading';
+        progressElement.value = formatProgress(item.progress);
+        progressElement.setAttribute('aria-label', `${label} 업로드 진행률`);
+
+        const statusElement = element.querySelector('.image-manager-status');
+        if (item.status === 'uploading') {
+            statusElement.textContent = `업로드 중 ${formatProgress(item.progress)}%`;
+        } else if (item.status === 'error') {
+            statusElement.textContent = item.errorMessage ?? '업로드 실패';
+        } else {
+            statusElement.textContent = '';
+        }
+
+        element.querySelector('.image-manager-retry').hidden = item.status !== 'error' || item.errorMessage !== null;
+        element.querySelector('[data-move="-1"]').disabled = index === 0;
+        element.querySelector('[data-move="1"]').disabled = index === items.length - 1;
+        element.querySelector('[data-move="-1"]').setAttribute('aria-label', `${label} 앞으로 이동`);
+        element.querySelector('[data-move="1"]').setAttribute('aria-label', `${label} 뒤로 이동`);
+        element.querySelector('.image-manager-retry').setAttribute('aria-label', `${label} 다시 업로드`);
+        element.querySelector('.image-manager-remove').setAttribute('aria-label', `${label} 삭제`);
+    };
+
+    /** items 순서대로 화면을 다시 배치 */
+    const render = (message) => {
+        items.forEach((item) => {
+            listElement.appendChild(item.element);
+            updateItem(item);
+        });
+        listElement.hidden = items.length === 0;
+        updateSummary(message);
+    };
+
+    const startUpload = (item) => {
+        item.controller?.abort();
+        const controller = new AbortController();
+        item.controller = controller;
+        item.status = 'uploading';
+        item.errorMessage = null;
+        item.progress = 0;
+        updateItem(item);
+
+        upload(item.file, {
+            signal: controller.signal,
+            onProgress: (ratio) => {
+                item.progress = ratio;
+                updateItem(item);
+            },
+        })
+            .then((imageId) => {
+                item.imageId = imageId;
+                item.status = 'done';
+            })
+            .catch((error) => {
+                if (isAbortError(error) && controller.signal.aborted) return;
+                console.error('이미지 업로드 중 오류 발생:', error);
+                item.status = 'error';
+                // 형식/용량 문제는 다시 시도해도 같으므로 이유를 보여주고 다시 시도 버튼은 숨김
+                item.errorMessage = error instanceof ImageProcessingError ? error.message : null;
+            })
+            .finally(() => {
+                if (item.controller !== controller || !items.includes(item)) return;
+                item.controller = null;
+                updateItem(item);
+                onChange();
+            });
+    };
+
+    const createItemElement = (item) => {
+        const element = document.createElement('li');
+        element.className = 'image-manager-item';
+        element.draggable = true;
+        element.dataset.key = item.key;
+        element.innerHTML = `
+            <img class="image-manager-thumb" alt="" draggable="false">
+            <progress class="image-manager-progress" max="100" value="0"></progress>
+            <span class="image-manager-status"></span>
+            <div class="image-manager-actions">
+                <button type="button" class="image-manager-action" data-move="-1">&#8592;</button>
+                <button type="button" class="image-manager-action" data-move="1">&#8594;</button>
+                <button type="button" class="image-manager-action image-manager-retry" hidden>&#8635;</button>
+                <button type="button" class="image-manager-action image-manager-remove">&times;</button>
+            </div>
+        `;
+        element.querySelector('.image-manager-thumb').src = item.previewUrl;
+        return element;
+    };
+
+    const revokePreview = (item) => {
+        // 이미 업로드된 이미지는 서버 주소를 그대로 쓰므로 해제할 필요 없음
+        if (item.file) URL.revokeObjectURL(item.previewUrl);
+    };
+
+    const removeItem = (item) => {
+        item.controller?.abort();
+        revokePreview(item);
+        item.element.remove();
+        items = items.filter((candidate) => candidate !== item);
+        render('이미지를 삭제했습니다.');
+        onChange();
+    };
+
+    const moveItem = (item, offset) => {
+        const from = items.indexOf(item);
+        const to = from + offset;
+        if (to < 0 || to >= items.length) return;
+        items.splice(from, 1);
+        items.splice(to, 0, item);
+        render(`이미지를 ${to + 1}번째로 옮겼습니다.`);
+        onChange();
+    };
+
+    /** 새로 선택한 파일의 목록 항목 (업로드는 호출한 쪽에서 시작) */
+    const createFileItem = (file) => {
+        const item = {
+            key: String(nextItemKey++),
+            file,
+            previewUrl: URL.createObjectURL(file),
+            status: 'uploading',
+            errorMessage: null,
+            progress: 0,
+            imageId: null,
+            controller: null,
+        };
+        item.element = createItemElement(item);
+        return item;
+    };
+
+    /**
+     * 이미지 추가 후 업로드 시작
+     * 최대 개수를 넘는 파일과 이미지가 아닌 파일은 추가하지 않음
+     * @param {FileList | File[]} files
+     */
+    const addFiles = (files) => {
+        const selected = Array.from(files ?? []);
+        const imageFiles = selected.filter((file) => file.type.startsWith('image/'));
+        const available = Math.max(maxImages - items.length, 0);
+        const accepted = imageFiles.slice(0, available);
+
+        if (imageFiles.length < selected.length) {
+            alert('이미지 파일만 업로드할 수 있습니다.');
+        }
+        if (accepted.length < imageFiles.length) {
+            alert(`이미지는 최대 ${maxImages}개까지 업로드할 수 있습니다. ${imageFiles.length - accepted.length}개는 추가하지 않았습니다.`);
+        }
+        if (accepted.length === 0) return;
+
+        const added = accepted.map(createFileItem);
+        items = [...items, ...added];
+        render(`이미지 ${added.length}개를 추가했습니다.`);
+        added.forEach(startUpload);
+        onChange();
+    };
+
+    /**
+     * 이미 업로드된 이미지로 목록 초기화 (게시물 수정)
+     * file이 있는 항목은 새로 선택한 이미지로 추가하고 업로드 시작 (임시 저장본 복원)
+     * onChange는 호출하지 않음
+     * @param {({ imageId: number | null, imageUrl: string } | { file: File })[]} images
+     */
+    const setImages = (images) => {
+        items.forEach((item) => {
+            item.controller?.abort();
+            revokePreview(item);
+            item.element.remove();
+        });
+        items = images.slice(0, maxImages).map(({ imageId, imageUrl, file }) => {
+            if (file) return createFileItem(file);
+            const item = {
+                key: String(nextItemKey++),
+                file: null,
+                previewUrl: imageUrl,
+                status: 'done',
+                errorMessage: null,
+                progress: 1,
+                imageId,
+                controller: null,
+            };
+            item.element = createItemElement(item);
+            return item;
+        });
+        render();
+        items.filter((item) => item.file).forEach(startUpload);
+    };
+
+    input.addEventListener('change', () => {
+        addFiles(input.files);
+        // 같은 파일을 다시 고를 수 있도록 선택 초기화
+        input.value = '';
+    });
+
+    listElement.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        const item = button && findItem(button);
+        if (!item) return;
+
+        if (button.dataset.move) {
+            moveItem(item, Number(button.dataset.move));
+            // 버튼이 비활성화되면 포커스를 잃으므로 같은 이미지에 포커스 유지
+            const focusTarget = button.disabled ? item.element.querySelector('.image-manager-remove') : button;
+            focusTarget.focus();
+        } else if (button.classList.contains('image-manager-retry')) {
+            startUpload(item);
+            item.element.querySelector('.image-manager-remove').focus();
+        } else if (button.classList.contains('image-manager-remove')) {
+            const index = items.indexOf(item);
+            removeItem(item);
+            const nextFocus = items[Math.min(index, items.length - 1)]?.element.querySelector('.image-manager-remove') ?? input;
+            nextFocus.focus();
+        }
+    });
+
+    /** 드래그로 순서 변경 시작 */
+
+    listElement.addEventListener('dragstart', (event) => {
+        draggedItem = findItem(event.target);
+        if (!draggedItem) return;
+        draggedItem.element.classList.add('is-dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox는 데이터가 없으면 드래그를 시작하지 않음
+        event.dataTransfer.setData('text/plain', draggedItem.key);
+    });
+
+    listElement.addEventListener('dragover', (event) => {
+        if (!draggedItem) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+
+        const target = event.target.closest('.image-manager-item');
+        if (!target || target === draggedItem.element) return;
+        const rect = target.getBoundingClientRect();
+        const isAfter = event.clientX > rect.left + rect.width / 2;
+        target.insertAdjacentElement(isAfter ? 'afterend' : 'beforebegin', draggedItem.element);
+    });
+
+    listElement.addEventListener('drop', (event) => {
+        if (draggedItem) event.preventDefault();
+    });
+
+    listElement.addEventListener('dragend', () => {
+        if (!draggedItem) return;
+        const movedItem = draggedItem;
+        draggedItem = null;
+        movedItem.element.classList.remove('is-dragging');
+
+        const previousOrder = items.map((item) => item.key).join();
+        const orderedKeys = Array.from(listElement.children, (element) => element.dataset.key);
+        items = orderedKeys.map((key) => items.find((item) => item.key === key));
+        if (items.map((item) => item.key).join() === previousOrder) return;
+        render(`이미지를 ${items.indexOf(movedItem) + 1}번째로 옮겼습니다.`);
+        onChange();
+    });
+
+    /** 드래그로 순서 변경 끝 */
+
+    render();
+
+    return {
+        addFiles,
+        setImages,
+        /** 화면에 보이는 순서대로 업로드가 끝난 이미지 ID */
+        getImageIds: () => items.filter((item) => item.status === 'done').map((item) => item.imageId),
+        /**
+         * 화면에 보이는 순서대로 전체 이미지 (임시 저장용, setImages로 복원)
+         * 새로 선택한 이미지는 { file }, 기존 이미지는 { imageId, imageUrl }
+         */
+        getDraftImages: () => items.map((item) => (item.file
+            ? { file: item.file }
+            : { imageId: item.imageId, imageUrl: item.previewUrl })),
+        /** 화면에 보이는 순서대로 새로 선택한 파일 (임시 저장용) */
+        getFiles: () => items.filter((item) => item.file).map((item) => item.file),
+        hasPendingUploads: () => items.some((item) => item.status === 'uploading'),
+        hasFailedUploads: () => items.some((item) => item.status === 'error'),
+    };
+}
@@ -0,0 +1,267 @@
+import { lockScroll, unlockScroll } from '/js/ui/dialog.js';
+import { trapFocus } from '/js/ui/focusTrap.js';
+
+/**
+ * 이미지 라이트박스 (전체 화면 보기)
+ * - 이전/다음: 버튼, 좌우 방향키, 터치 스와이프 (처음과 끝은 서로 이어짐)
+ * - 확대: 두 손가락 핀치, 휠, 더블 클릭, +/- 키 (0 키로 원래 크기) / 확대한 상태에서는 드래그로 이동
+ * - Escape, 닫기 버튼, 이미지 바깥 클릭으로 닫고 열기 전에 포커스가 있던 요소로 돌아감
+ */
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const DOUBLE_CLICK_SCALE = 2;
+const KEYBOARD_ZOOM_STEP = 0.5;
+const WHEEL_ZOOM_STEP = 0.2;
+// 이 거리 이상 좌우로 밀면 이전/다음 이미지로 이동
+const SWIPE_THRESHOLD_PX = 50;
+// 이 거리 이하로 움직였으면 클릭으로 판단
+const TAP_TOLERANCE_PX = 5;
+
+let isLightboxOpen = false;
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function getDistance([first, second]) {
+    return Math.hypot(first.x - second.x, first.y - second.y);
+}
+
+function createLightboxElement() {
+    const element = document.createElement('div');
+    element.className = 'lightbox';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', '이미지 크게 보기');
+    element.innerHTML = `
+        <div class="lightbox-toolbar">
+            <p class="lightbox-counter" aria-live="polite"></p>
+            <button type="button" class="lightbox-button lightbox-close" aria-label="닫기">&times;</button>
+        </div>
+        <div class="lightbox-stage">
+            <div class="lightbox-spinner" aria-hidden="true"></div>
+            <img class="lightbox-image" alt="" draggable="false">
+        </div>
+        <button type="button" class="lightbox-button lightbox-nav lightbox-prev" aria-label="이전 이미지">&#8249;</button>
+        <button type="button" class="lightbox-button lightbox-nav lightbox-next" aria-label="다음 이미지">&#8250;</button>
+    `;
+    return element;
+}
+
+/**
+ * @param {{ src: string, alt?: string }[]} images
+ * @param {number} [startIndex]
+ */
+export function openLightbox(images, startIndex = 0) {
+    if (isLightboxOpen || images.length === 0) return;
+    isLightboxOpen = true;
+
+    const element = createLightboxElement();
+    const stage = element.querySelector('.lightbox-stage');
+    const imageElement = element.querySelector('.lightbox-image');
+    const counterElement = element.querySelector('.lightbox-counter');
+    const hasMultipleImages = images.length > 1;
+
+    element.querySelectorAll('.lightbox-nav').forEach((button) => {
+        button.hidden = !hasMultipleImages;
+    });
+
+    let currentIndex = clamp(startIndex, 0, images.length - 1);
+    const view = { scale: 1, x: 0, y: 0 };
+
+    const applyTransform = () => {
+        imageElement.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        element.classList.toggle('is-zoomed', view.scale > MIN_SCALE);
+    };
+
+    /** 확대한 이미지가 화면 밖으로 너무 멀리 나가지 않도록 이동 범위 제한 */
+    const clampPosition = () => {
+        const maxX = (imageElement.offsetWidth * (view.scale - 1)) / 2;
+        const maxY = (imageElement.offsetHeight * (view.scale - 1)) / 2;
+        view.x = clamp(view.x, -maxX, maxX);
+        view.y = clamp(view.y, -maxY, maxY);
+    };
+
+    const setScale = (nextScale) => {
+        const previousScale = view.scale;
+        view.scale = clamp(nextScale, MIN_SCALE, MAX_SCALE);
+        view.x *= view.scale / previousScale;
+        view.y *= view.scale / previousScale;
+        clampPosition();
+        applyTransform();
+    };
+
+    const resetView = () => {
+        view.scale = 1;
+        view.x = 0;
+        view.y = 0;
+        applyTransform();
+    };
+
+    const preload = (index) => {
+        const image = images[(index + images.length) % images.length];
+        if (image) new Image().src = image.src;
+    };
+
+    const show = (index) => {
+        currentIndex = (index + images.length) % images.length;
+        const image = images[currentIndex];
+        resetView();
+        element.classList.add('is-loading');
+        imageElement.src = image.src;
+        imageElement.alt = image.alt ?? '';
+        counterElement.textContent = `${currentIndex + 1} / ${images.length}`;
+        if (hasMultipleImages) {
+            preload(currentIndex + 1);
+            preload(currentIndex - 1);
+        }
+    };
+
+    const showNext = () => hasMultipleImages && show(currentIndex + 1);
+    const showPrevious = () => hasMultipleImages && show(currentIndex - 1);
+
+    imageElement.addEventListener('load', () => element.classList.remove('is-loading'));
+    imageElement.addEventListener('error', () => {
+        element.classList.remove('is-loading');
+        counterElement.textContent = `${currentIndex + 1} / ${images.length} · 이미지를 불러오지 못했습니다.`;
+    });
+
+    /** 터치/마우스 제스처 시작 */
+
+    const pointers = new Map();
+    let gesture = null;
+    // 포인터를 캡처하면 이후 이벤트의 target이 stage가 되므로 처음 누른 요소를 따로 기록
+    let pressedTarget = null;
+
+    const getPointerList = () => Array.from(pointers.values());
+
+    const startGesture = () => {
+        const pointerList = getPointerList();
+        gesture = {
+            startPointers: pointerList.map((pointer) => ({ ...pointer })),
+            startView: { ...view },
+            startDistance: pointerList.length === 2 ? getDistance(pointerList) : 0,
+            moved: false,
+        };
+    };
+
+    stage.addEventListener('pointerdown', (event) => {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        if (pointers.size === 0) pressedTarget = event.target;
+        stage.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        // 손가락을 따라 바로 움직이도록 제스처 중에는 transition을 끔
+        element.classList.add('is-gesturing');
+        startGesture();
+    });
+
+    stage.addEventListener('pointermove', (event) => {
+        if (!pointers.has(event.pointerId) || !gesture) return;
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const pointerList = getPointerList();
+
+        if (pointerList.length === 2 && gesture.startDistance > 0) {
+            // 두 손가락 사이 거리 비율만큼 확대
+            gesture.moved = true;
+            view.scale = clamp(gesture.startView.scale * (getDistance(pointerList) / gesture.startDistance), MIN_SCALE, MAX_SCALE);
+            clampPosition();
+            applyTransform();
+            return;
+        }
+
+        const [start] = gesture.startPointers;
+        const dx = event.clientX - start.x;
+        const dy = event.clientY - start.y;
+        if (Math.hypot(dx, dy) > TAP_TOLERANCE_PX) gesture.moved = true;
+
+        if (view.scale > MIN_SCALE) {
+            view.x = gesture.startView.x + dx;
+            view.y = gesture.startView.y + dy;
+            clampPosition();
+            applyTransform();
+        } else {
+            // 확대하지 않은 상태에서는 스와이프 방향을 보여주기 위해 가로로만 따라 움직임
+            imageElement.style.transform = `translateX(${dx}px)`;
+        }
+    });
+
+    const endPointer = (event) => {
+        if (!pointers.has(event.pointerId)) return;
+        const [start] = gesture?.startPointers ?? [];
+        const wasSinglePointer = pointers.size === 1 && gesture?.startPointers.length === 1;
+        pointers.delete(event.pointerId);
+        if (pointers.size === 0) element.classList.remove('is-gesturing');
+
+        if (wasSinglePointer && view.scale === MIN_SCALE && start) {
+            const dx = event.clientX - start.x;
+            applyTransform();
+            if (dx <= -SWIPE_THRESHOLD_PX) showNext();
+            else if (dx >= SWIPE_THRESHOLD_PX) showPrevious();
+        }
+
+        // 이미지 바깥(어두운 영역)을 클릭하면 닫기
+        if (wasSinglePointer && !gesture.moved && event.type === 'pointerup' && pressedTarget === stage) {
+            close();
+            return;
+        }
+
+        // 핀치 중 한 손가락을 떼면 남은 손가락으로 이어서 이동
+        if (pointers.size > 0) startGesture();
+        else gesture = null;
+    };
+
+    stage.addEventListener('pointerup', endPointer);
+    stage.addEventListener('pointercancel', endPointer);
+
+    stage.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        setScale(view.scale + (event.deltaY < 0 ? WHEEL_ZOOM_STEP : -WHEEL_ZOOM_STEP));
+    }, { passive: false });
+
+    imageElement.addEventListener('dblclick', () => {
+        if (view.scale > MIN_SCALE) resetView();
+        else setScale(DOUBLE_CLICK_SCALE);
+    });
+
+    /** 터치/마우스 제스처 끝 */
+
+    element.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowRight') {
+            event.preventDefault();
+            showNext();
+        } else if (event.key === 'ArrowLeft') {
+            event.preventDefault();
+            showPrevious();
+        } else if (event.key === '+' || event.key === '=') {
+            event.preventDefault();
+            setScale(view.scale + KEYBOARD_ZOOM_STEP);
+        } else if (event.key === '-') {
+            event.preventDefault();
+            setScale(view.scale - KEYBOARD_ZOOM_STEP);
+        } else if (event.key === '0') {
+            event.preventDefault();
+            resetView();
+        }
+    });
+
+    element.querySelector('.lightbox-prev').addEventListener('click', showPrevious);
+    element.querySelector('.lightbox-next').addEventListener('click', showNext);
+    element.querySelector('.lightbox-close').addEventListener('click', () => close());
+
+    document.body.appendChild(element);
+    lockScroll();
+    show(currentIndex);
+
+    const releaseFocus = trapFocus(element, {
+        onEscape: () => close(),
+        initialFocus: element.querySelector('.lightbox-close'),
+    });
+
+    function close() {
+        releaseFocus();
+        element.remove();
+        unlockScroll();
+        isLightboxOpen = false;
+    }
+}
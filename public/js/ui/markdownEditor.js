@@ -0,0 +1,73 @@
+import { renderSafeMarkdown } from '/js/utils/markdown.js';
+
+/**
+ * 마크다운 작성/미리보기 전환
+ * textarea 위에 [작성] [미리보기] 버튼을 추가하고, 미리보기에서는 textarea 대신 렌더링 결과를 보여줌
+ * 글자 수 제한과 제출 값은 textarea의 원문 그대로 사용함
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {{ setMode: (mode: 'write' | 'preview') => void, refresh: () => void }}
+ */
+export function attachMarkdownEditor(textarea) {
+    if (!textarea) {
+        return {
+            setMode: () => {},
+            refresh: () => {},
+        };
+    }
+
+    const previewId = `${textarea.id || textarea.name}-preview`;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'markdown-editor-toolbar';
+    toolbar.setAttribute('role', 'group');
+    toolbar.setAttribute('aria-label', '내용 편집 모드');
+    toolbar.innerHTML = `
+        <button type="button" class="markdown-editor-mode" data-mode="write" aria-pressed="true">작성</button>
+        <button type="button" class="markdown-editor-mode" data-mode="preview" aria-pressed="false" aria-controls="${previewId}">미리보기</button>
+    `;
+
+    const preview = document.createElement('div');
+    preview.id = previewId;
+    preview.className = 'markdown-preview markdown-body';
+    preview.tabIndex = 0;
+    preview.setAttribute('aria-label', '내용 미리보기');
+    preview.hidden = true;
+
+    textarea.insertAdjacentElement('beforebegin', toolbar);
+    textarea.insertAdjacentElement('afterend', preview);
+
+    let mode = 'write';
+
+    const refresh = () => {
+        if (mode !== 'preview') return;
+        const html = renderSafeMarkdown(textarea.value);
+        if (html) {
+            preview.innerHTML = html;
+        } else {
+            preview.innerHTML = '<p class="markdown-preview-empty">미리 볼 내용이 없습니다.</p>';
+        }
+    };
+
+    const setMode = (nextMode) => {
+        mode = nextMode === 'preview' ? 'preview' : 'write';
+        toolbar.querySelectorAll('.markdown-editor-mode').forEach((button) => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+        });
+        textarea.hidden = mode === 'preview';
+        preview.hidden = mode !== 'preview';
+        refresh();
+    };
+
+    toolbar.addEventListener('click', (event) => {
+        const button = event.target.closest('.markdown-editor-mode');
+        if (!button || button.dataset.mode === mode) return;
+        setMode(button.dataset.mode);
+        (mode === 'preview' ? preview : textarea).focus();
+    });
+
+    // 미리보기 중에 폼 검증에 걸리면 textarea가 숨겨져 있어 메시지를 표시할 수 없으므로 작성 모드로 전환
+    textarea.addEventListener('invalid', () => setMode('write'));
+
+    return { setMode, refresh };
+}
@@ -0,0 +1,233 @@
+import { initDropdown } from '/js/ui/dropdown.js';
+import { NotificationAPI } from '/js/api/notifications.js';
+import { ApiError } from '/js/api/errors.js';
+import { loadTemplate } from '/js/utils/template.js';
+import { buildCommentUrl } from '/js/utils/commentLink.js';
+
+/**
+ * 헤더 알림 센터
+ * 벨 아이콘의 읽지 않은 알림 배지와 알림 드롭다운(읽음 / 모두 읽음 / 해당 댓글로 이동)을 담당
+ * 로그인하지 않은 상태(401)라면 벨 아이콘을 숨김
+ */
+
+const NOTIFICATION_PAGE_SIZE = 10;
+const UNREAD_COUNT_POLL_INTERVAL_MS = 60 * 1000;
+const MAX_BADGE_COUNT = 99;
+
+const NOTIFICATION_MESSAGES = {
+    POST_COMMENT: (actor, postTitle) => `${actor}님이 "${postTitle}"에 댓글을 남겼습니다.`,
+    POST_LIKE: (actor, postTitle) => `${actor}님이 "${postTitle}"을(를) 좋아합니다.`,
+    COMMENT_REPLY: (actor) => `${actor}님이 회원님의 댓글에 답글을 남겼습니다.`,
+};
+
+function toNotificationViewModel(notification) {
+    const actor = notification.actor?.nickname ?? '알 수 없는 사용자';
+    const buildMessage = NOTIFICATION_MESSAGES[notification.type];
+
+    return {
+        notificationId : notification.notificationId,
+        href : buildCommentUrl({
+            postId : notification.postId,
+            commentId : notification.commentId,
+            parentCommentId : notification.type === 'COMMENT_REPLY' ? notification.parentCommentId : null,
+            rootCommentId : notification.type === 'COMMENT_REPLY' ? notification.rootCommentId : null,
+        }),
+        actorProfileImageUrl : notification.actor?.profileImageUrl ?? '/assets/imgs/profile_icon.svg',
+        message : buildMessage ? buildMessage(actor, notification.postTitle ?? '') : (notification.message ?? '새 알림이 있습니다.'),
+        preview : notification.commentPreview ?? '',
+        date : new Date(notification.createdAt).toLocaleString('ko-KR', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        }),
+        isRead : Boolean(notification.isRead),
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {() => void} [options.onOpen] 드롭다운이 열릴 때 호출 (다른 헤더 드롭다운 닫기 등)
+ * @returns {{ open: () => void, close: () => void, isOpen: () => boolean } | undefined}
+ */
+export function initNotificationCenter({ onOpen } = {}) {
+    const bellButton = document.querySelector('.notification-btn');
+    const badgeElement = bellButton?.querySelector('.notification-badge');
+    const dropdownElement = document.querySelector('.notification-dropdown');
+    const listElement = dropdownElement?.querySelector('.notification-list');
+    const statusElement = dropdownElement?.querySelector('.notification-status');
+    const readAllButton = dropdownElement?.querySelector('.notification-read-all');
+
+    if (!bellButton || !dropdownElement || !listElement) return;
+
+    let unreadCount = 0;
+    let lastNotificationId = null;
+    let hasNext = true;
+    let isLoading = false;
+    let itemTemplate = null;
+    let pollTimer = null;
+
+    const setUnreadCount = (count) => {
+        unreadCount = Math.max(Number(count) || 0, 0);
+        badgeElement.textContent = unreadCount > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(unreadCount);
+        badgeElement.hidden = unreadCount === 0;
+        bellButton.setAttribute('aria-label', unreadCount > 0 ? `알림 (읽지 않은 알림 ${unreadCount}개)` : '알림');
+        if (readAllButton) readAllButton.disabled = unreadCount === 0;
+    };
+
+    const disableNotifications = () => {
+        bellButton.hidden = true;
+        clearInterval(pollTimer);
+        pollTimer = null;
+    };
+
+    const refreshUnreadCount = async () => {
+        try {
+            const response = await NotificationAPI.getUnreadCount();
+            bellButton.hidden = false;
+            setUnreadCount(response?.data?.unreadCount);
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 401) {
+                disableNotifications();
+                return;
+            }
+            console.warn('읽지 않은 알림 개수를 불러오지 못했습니다:', error);
+        }
+    };
+
+    const renderLoadMoreButton = () => {
+        listElement.querySelector('.notification-more-item')?.remove();
+        if (!hasNext) return;
+        listElement.insertAdjacentHTML('beforeend', `
+            <li class="notification-more-item" role="none">
+                <button type="button" class="notification-more" role="menuitem">알림 더보기</button>
+            </li>
+        `);
+    };
+
+    const loadNotifications = async ({ reset = false } = {}) => {
+        if (isLoading || (!reset && !hasNext)) return;
+        isLoading = true;
+        if (reset) {
+            lastNotificationId = null;
+            hasNext = true;
+        }
+        statusElement.textContent = '불러오는 중...';
+
+        try {
+            itemTemplate ??= await loadTemplate('/components/notificationItem.html');
+            const response = await NotificationAPI.getNotifications(lastNotificationId, NOTIFICATION_PAGE_SIZE);
+            const { notifications = [], lastNotificationId: newLastNotificationId, hasNext: newHasNext } = response?.data ?? {};
+
+            if (reset) listElement.innerHTML = '';
+            const html = notifications.map((notification) => itemTemplate(toNotificationViewModel(notification))).join('');
+            listElement.querySelector('.notification-more-item')?.remove();
+            listElement.insertAdjacentHTML('beforeend', html);
+
+            lastNotificationId = newLastNotificationId;
+            hasNext = Boolean(newHasNext);
+            renderLoadMoreButton();
+
+            const isEmpty = !listElement.querySelector('.notification-item');
+            statusElement.textContent = isEmpty ? '새로운 알림이 없습니다.' : '';
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 401) {
+                disableNotifications();
+            }
+            console.error('알림 불러오기 실패:', error);
+            statusElement.textContent = '알림을 불러오지 못했습니다.';
+        } finally {
+            isLoading = false;
+        }
+    };
+
+    const markItemAsRead = (item) => {
+        if (!item?.classList.contains('is-unread')) return;
+        item.classList.remove('is-unread');
+        item.querySelector('.notification-read-btn')?.remove();
+        setUnreadCount(unreadCount - 1);
+    };
+
+    const markAsRead = async (notificationId) => {
+        const item = listElement.querySelector(`.notification-item[data-notification-id="${CSS.escape(String(notificationId))}"]`);
+        await NotificationAPI.markAsRead(notificationId);
+        markItemAsRead(item);
+    };
+
+    const dropdown = initDropdown('.notification-btn', '.notification-dropdown', {
+        onOpen: async () => {
+            onOpen?.();
+            await loadNotifications({ reset: true });
+            refreshUnreadCount();
+            // 드롭다운을 연 직후에는 항목이 없어 포커스가 버튼에 남아 있으므로 첫 항목으로 이동
+            if (dropdown?.isOpen() && !dropdownElement.contains(document.activeElement)) {
+                dropdownElement.querySelector('[role="menuitem"]:not([disabled])')?.focus();
+            }
+        },
+    });
+
+    dropdownElement.addEventListener('click', async (event) => {
+        const readButton = event.target.closest('.notification-read-btn');
+        if (readButton) {
+            event.stopPropagation();
+            const item = readButton.closest('.notification-item');
+            try {
+                await markAsRead(readButton.dataset.notificationId);
+                item?.querySelector('.notification-link')?.focus();
+            } catch (error) {
+                console.error('알림 읽음 처리 실패:', error);
+                alert('알림을 읽음 처리하지 못했습니다. 다시 시도해주세요.');
+            }
+            return;
+        }
+
+        const link = event.target.closest('.notification-link');
+        if (link) {
+            const item = link.closest('.notification-item');
+            if (!item?.classList.contains('is-unread')) return;
+            // 이동하기 전에 읽음 처리 (실패해도 이동은 계속함)
+            event.preventDefault();
+            try {
+                await markAsRead(link.dataset.notificationId);
+            } catch (error) {
+                console.warn('알림 읽음 처리 실패:', error);
+            }
+            dropdown?.close();
+            window.location.href = link.href;
+            return;
+        }
+
+        if (event.target.closest('.notification-read-all')) {
+            event.stopPropagation();
+            try {
+                await NotificationAPI.markAllAsRead();
+                listElement.querySelectorAll('.notification-item.is-unread').forEach(markItemAsRead);
+                setUnreadCount(0);
+            } catch (error) {
+                console.error('알림 모두 읽음 처리 실패:', error);
+                alert('알림을 읽음 처리하지 못했습니다. 다시 시도해주세요.');
+            }
+            return;
+        }
+
+        if (event.target.closest('.notification-more')) {
+            event.stopPropagation();
+            const previousCount = listElement.querySelectorAll('.notification-item').length;
+            await loadNotifications();
+            // 새로 불러온 첫 알림으로 포커스 이동
+            listElement.querySelectorAll('.notification-item')[previousCount]?.querySelector('.notification-link')?.focus();
+        }
+    });
+
+    refreshUnreadCount();
+    pollTimer = setInterval(() => {
+        if (document.visibilityState === 'visible') refreshUnreadCount();
+    }, UNREAD_COUNT_POLL_INTERVAL_MS);
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && pollTimer) refreshUnreadCount();
+    });
+
+    return dropdown;
+}
@@ -0,0 +1,72 @@
+import { PASSWORD_POLICIES, getPasswordStrength } from '/js/utils/userRules.js';
+
+/**
+ * 비밀번호 강도 표시
+ * 입력 아래에 강도 막대와 정책 안내 목록을 만들고 입력할 때마다 만족한 항목을 표시
+ * 필수 항목이 아닌 정책은 (권장)으로 안내 (userRules.js의 PASSWORD_POLICIES 참고)
+ */
+
+function createStrengthElement(id) {
+    const element = document.createElement('div');
+    element.className = 'password-strength';
+    element.id = id;
+    element.innerHTML = `
+        <div class="password-strength-bar" aria-hidden="true">
+            <span></span><span></span><span></span>
+        </div>
+        <p class="password-strength-label" aria-live="polite"></p>
+        <ul class="password-policy">
+            ${PASSWORD_POLICIES.map((policy) => `
+                <li class="password-policy-item" data-policy="${policy.key}">${policy.label}${policy.required ? '' : ' (권장)'}</li>
+            `).join('')}
+        </ul>
+    `;
+    return element;
+}
+
+/**
+ * @param {HTMLInputElement} input
+ * @returns {{ update: () => void, destroy: () => void }}
+ */
+export function attachPasswordStrength(input) {
+    if (!input) {
+        return {
+            update: () => {},
+            destroy: () => {},
+        };
+    }
+
+    const elementId = `${input.id || input.name}-strength`;
+    const element = createStrengthElement(elementId);
+    const labelElement = element.querySelector('.password-strength-label');
+    input.insertAdjacentElement('afterend', element);
+
+    // 스크린 리더에서 입력과 함께 정책 안내를 읽도록 연결
+    const describedBy = (input.getAttribute('aria-describedby') ?? '').split(/\s+/).filter(Boolean);
+    input.setAttribute('aria-describedby', [...describedBy, elementId].join(' '));
+
+    const update = () => {
+        const { score, level, label, policies } = getPasswordStrength(input.value);
+        const isEmpty = input.value.length === 0;
+        element.dataset.score = String(score);
+        element.dataset.level = isEmpty ? '' : level;
+        labelElement.textContent = isEmpty ? '' : `비밀번호 강도: ${label}`;
+        element.querySelectorAll('.password-policy-item').forEach((item) => {
+            item.classList.toggle('is-met', Boolean(policies[item.dataset.policy]));
+        });
+    };
+
+    input.addEventListener('input', update);
+    update();
+
+    return {
+        update,
+        destroy: () => {
+            input.removeEventListener('input', update);
+            const ids = (input.getAttribute('aria-describedby') ?? '').split(/\s+/).filter((id) => id && id !== elementId);
+            if (ids.length > 0) input.setAttribute('aria-describedby', ids.join(' '));
+            else input.removeAttribute('aria-describedby');
+            element.remove();
+        },
+    };
+}
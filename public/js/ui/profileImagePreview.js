@@ -1,3 +1,6 @@
+import { openImageCropDialog } from "/js/ui/imageCropDialog.js";
+import { clearFieldError, setFieldError } from "/js/ui/formErrors.js";
+
 const fieldStates = new Map();
 
 function revokeObjectURL(state) {
@@ -25,21 +28,73 @@ function applyPreview(state, src, { isObjectUrl = false } = {}) {
     }
 }
 
-function handleInputChange(state) {
+/** 파일 입력의 선택을 코드로 바꿈 (change 이벤트는 발생하지 않음) */
+function setInputFile(input, file) {
+    const dataTransfer = new DataTransfer();
+    if (file) dataTransfer.items.add(file);
+    input.files = dataTransfer.files;
+}
+
+function selectFile(state, file) {
+    state.file = file;
+    if (file) {
+        applyPreview(state, URL.createObjectURL(file), { isObjectUrl: true });
+    } else {
+        applyPreview(state, "");
+    }
+    state.onSelect(file);
+}
+
+async function handleInputChange(state) {
     const [file] = state.input.files || [];
     if (!file) {
-        applyPreview(state, "");
+        selectFile(state, null);
         return;
     }
-    const tempUrl = URL.createObjectURL(file);
-    applyPreview(state, tempUrl, { isObjectUrl: true });
+
+    if (!state.crop) {
+        selectFile(state, file);
+        return;
+    }
+
+    clearFieldError(state.input);
+    let croppedFile = null;
+    try {
+        croppedFile = await openImageCropDialog(file, { outputSize: state.cropSize });
+    } catch (error) {
+        console.error("프로필 이미지 자르기 중 오류 발생:", error);
+        setFieldError(state.input, error.message);
+    }
+
+    // 자르기를 취소하면 이전에 선택한 이미지를 그대로 유지
+    if (!croppedFile) {
+        setInputFile(state.input, state.file);
+        return;
+    }
+
+    // 폼을 제출할 때도 자른 이미지가 전송되도록 파일 입력의 선택을 교체
+    setInputFile(state.input, croppedFile);
+    selectFile(state, croppedFile);
 }
 
+/**
+ * @param {object} options
+ * @param {string} options.inputId
+ * @param {string} options.previewId
+ * @param {string} options.triggerId
+ * @param {string} [options.defaultImage]
+ * @param {boolean} [options.crop] true면 선택한 이미지를 정사각형으로 자른 뒤 사용
+ * @param {number} [options.cropSize] 자른 이미지의 한 변 길이(px)
+ * @param {(file: File | null) => void} [options.onSelect] 미리보기에 보이는 최종 이미지가 바뀔 때 호출
+ */
 export function setupProfileImageField({
     inputId,
     previewId,
     triggerId,
     defaultImage = "",
+    crop = false,
+    cropSize,
+    onSelect = () => {},
 } = {}) {
     const input = document.getElementById(inputId);
     const preview = document.getElementById(previewId);
@@ -55,6 +110,10 @@ export function setupProfileImageField({
         trigger,
         defaultImage,
         objectUrl: null,
+        file: null,
+        crop: crop && typeof DataTransfer !== "undefined",
+        cropSize,
+        onSelect,
     };
 
     fieldStates.set(inputId, state);
@@ -0,0 +1,18 @@
+/**
+ * 특정 댓글로 이동하는 게시물 상세 URL
+ * 게시물 상세 페이지는 #comment-<id> 해시를 보고 해당 댓글이 나올 때까지 불러온 뒤 스크롤하며,
+ * 답글은 부모 댓글의 스레드를 펼쳐야 찾을 수 있으므로 thread 파라미터로 조상 댓글을 최상위 댓글부터 순서대로 전달함
+ * (답글의 답글은 ?thread=<최상위 댓글 ID>,<부모 댓글 ID>, 최상위 댓글을 모르면 부모 댓글만 전달)
+ */
+export function buildCommentUrl({ postId, commentId, parentCommentId, rootCommentId } = {}) {
+    const postPath = `/posts/${postId}`;
+    if (commentId === undefined || commentId === null) return postPath;
+
+    const hash = `#comment-${commentId}`;
+    if (parentCommentId === undefined || parentCommentId === null) return `${postPath}${hash}`;
+
+    const threadIds = rootCommentId !== undefined && rootCommentId !== null && String(rootCommentId) !== String(parentCommentId)
+        ? [rootCommentId, parentCommentId]
+        : [parentCommentId];
+    return `${postPath}?thread=${threadIds.join(',')}${hash}`;
+}
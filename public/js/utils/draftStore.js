@@ -0,0 +1,110 @@
+/**
+ * 게시물 임시 저장소 (IndexedDB)
+ * 선택한 이미지 파일(File)까지 그대로 저장하기 위해 IndexedDB를 사용하고,
+ * IndexedDB를 쓸 수 없는 환경에서는 localStorage에 텍스트만 저장함
+ *
+ * 임시 저장 키
+ * - post:new          새 게시물 작성
+ * - post:edit:<id>    게시물 수정
+ */
+
+const DB_NAME = 'community-drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+const FALLBACK_PREFIX = 'draft:';
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    dbPromise ??= new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('임시 저장소를 열지 못했습니다:', request.error);
+            resolve(null);
+        };
+    });
+    return dbPromise;
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then((db) => {
+        if (!db) return undefined;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    });
+}
+
+function readFallback(key) {
+    try {
+        const stored = window.localStorage.getItem(`${FALLBACK_PREFIX}${key}`);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeFallback(key, draft) {
+    try {
+        // localStorage에는 파일을 저장할 수 없으므로 텍스트만 저장
+        const { images, ...rest } = draft;
+        window.localStorage.setItem(`${FALLBACK_PREFIX}${key}`, JSON.stringify(rest));
+    } catch (error) {
+        console.warn('임시 저장에 실패했습니다:', error);
+    }
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{ key: string, fields: Record<string, string>, images?: (File | object)[], savedAt: number } | null>}
+ */
+export async function getDraft(key) {
+    let draft = null;
+    try {
+        draft = (await runTransaction('readonly', (store) => store.get(key))) ?? null;
+    } catch (error) {
+        console.warn('임시 저장된 글을 불러오지 못했습니다:', error);
+    }
+    draft ??= readFallback(key);
+
+    if (draft && Date.now() - draft.savedAt > DRAFT_MAX_AGE_MS) {
+        await deleteDraft(key);
+        return null;
+    }
+    return draft;
+}
+
+export async function saveDraft(key, { fields, images = [] }) {
+    const draft = { key, fields, images, savedAt: Date.now() };
+    const db = await openDatabase();
+    if (!db) {
+        writeFallback(key, draft);
+        return draft;
+    }
+    await runTransaction('readwrite', (store) => store.put(draft));
+    return draft;
+}
+
+export async function deleteDraft(key) {
+    try {
+        window.localStorage.removeItem(`${FALLBACK_PREFIX}${key}`);
+    } catch (error) {
+        // localStorage를 쓸 수 없는 환경이면 무시
+    }
+    try {
+        await runTransaction('readwrite', (store) => store.delete(key));
+    } catch (error) {
+        console.warn('임시 저장된 글을 삭제하지 못했습니다:', error);
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * 사용자가 보는 글자(grapheme cluster) 단위 문자열 처리
+ * String.length는 UTF-16 코드 단위를 세므로 이모지(👍🏻 = 4)나 조합형 한글(ㅎ+ㅏ+ㄴ)이 여러 글자로 계산됨
+ * Intl.Segmenter를 지원하지 않는 브라우저에서는 코드 포인트 단위로 계산
+ */
+
+const segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter('ko', { granularity: 'grapheme' })
+    : null;
+
+export function splitGraphemes(text) {
+    const value = String(text ?? '');
+    if (segmenter) {
+        return Array.from(segmenter.segment(value), ({ segment }) => segment);
+    }
+    return Array.from(value);
+}
+
+export function countGraphemes(text) {
+    return splitGraphemes(text).length;
+}
+
+/** 앞에서부터 maxLength 글자만 남김 */
+export function truncateGraphemes(text, maxLength) {
+    const graphemes = splitGraphemes(text);
+    return graphemes.length > maxLength ? graphemes.slice(0, maxLength).join('') : String(text ?? '');
+}
@@ -0,0 +1,164 @@
+import { IMAGE_UPLOAD } from '/js/config.js';
+import { IMAGE_EXTENSIONS, ImageProcessingError, processImage } from '/js/utils/imageProcessing.js';
+
+/**
+ * 업로드 전 이미지 전처리 (imageProcessing.js 참고)
+ * 전처리는 워커에서 실행하고, 워커나 OffscreenCanvas를 쓸 수 없는 브라우저에서만 메인 스레드에서 실행함
+ */
+
+const WORKER_URL = '/js/workers/imageProcessing.worker.js';
+// 워커가 응답하지 않으면 업로드가 끝나지 않으므로 요청마다 제한 시간을 둠
+const WORKER_TIMEOUT_MS = 30000;
+
+let worker = null;
+let isWorkerUnavailable = typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined';
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+function rejectPendingRequests(error) {
+    pendingRequests.forEach(({ reject, cleanup }) => {
+        cleanup();
+        reject(error);
+    });
+    pendingRequests.clear();
+}
+
+function createAbortError() {
+    return new DOMException('요청이 취소되었습니다.', 'AbortError');
+}
+
+/**
+ * 처리 중인 워커를 중단하고 새 워커에 남은 요청을 다시 보냄
+ * 워커는 요청을 하나씩 멈출 수 없으므로, 취소/시간 초과된 요청의 작업을 멈추려면 워커 전체를 종료해야 함
+ */
+function restartWorker() {
+    worker?.terminate();
+    worker = null;
+
+    const activeWorker = getWorker();
+    if (!activeWorker) {
+        rejectPendingRequests(new Error('WORKER_UNAVAILABLE'));
+        return;
+    }
+    pendingRequests.forEach(({ file, options }, id) => activeWorker.postMessage({ id, file, options }));
+}
+
+function getWorker() {
+    if (worker || isWorkerUnavailable) return worker;
+
+    try {
+        worker = new Worker(WORKER_URL, { type: 'module' });
+    } catch (error) {
+        console.warn('이미지 처리 워커를 만들지 못했습니다:', error);
+        isWorkerUnavailable = true;
+        return null;
+    }
+
+    worker.addEventListener('message', (event) => {
+        const { id, result, error } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+        pendingRequests.delete(id);
+        request.cleanup();
+
+        if (!error) {
+            request.resolve(result);
+        } else if (error.name === 'ImageProcessingError') {
+            request.reject(new ImageProcessingError(error.code, error.message));
+        } else {
+            request.reject(new Error(error.message));
+        }
+    });
+    // 모듈 워커를 지원하지 않는 등 워커 자체가 실패하면 이후에는 메인 스레드에서 처리
+    worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        console.warn('이미지 처리 워커에서 오류가 발생했습니다:', event.message);
+        worker.terminate();
+        worker = null;
+        isWorkerUnavailable = true;
+        rejectPendingRequests(new Error('WORKER_UNAVAILABLE'));
+    });
+
+    return worker;
+}
+
+/**
+ * 취소(signal)되거나 WORKER_TIMEOUT_MS 안에 응답이 없으면 요청을 실패시키고 워커를 다시 시작함
+ * @returns {Promise | null} 워커를 쓸 수 없으면 null
+ */
+function processInWorker(file, options, signal) {
+    const activeWorker = getWorker();
+    if (!activeWorker) return null;
+
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+
+        const cancel = (error) => {
+            if (!pendingRequests.has(id)) return;
+            pendingRequests.delete(id);
+            cleanup();
+            reject(error);
+            restartWorker();
+        };
+        const handleAbort = () => cancel(createAbortError());
+        const timer = setTimeout(() => cancel(new ImageProcessingError(
+            'PROCESSING_TIMEOUT',
+            '이미지를 처리하는 데 시간이 너무 오래 걸립니다. 더 작은 이미지로 다시 시도해주세요.',
+        )), WORKER_TIMEOUT_MS);
+        const cleanup = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', handleAbort);
+        };
+
+        signal?.addEventListener('abort', handleAbort, { once: true });
+        pendingRequests.set(id, { resolve, reject, cleanup, file, options });
+        activeWorker.postMessage({ id, file, options });
+    });
+}
+
+function processInMainThread(file, options) {
+    return processImage(file, options, (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    });
+}
+
+function renameWithExtension(name, type) {
+    const extension = IMAGE_EXTENSIONS[type];
+    const baseName = name.replace(/\.[^./]*$/, '') || 'image';
+    return extension ? `${baseName}.${extension}` : name;
+}
+
+/**
+ * @param {File} file
+ * @param {object} [options] 기본값은 서버 설정(IMAGE_UPLOAD)
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.maxDimension]
+ * @param {number} [options.quality]
+ * @param {object} [requestOptions]
+ * @param {AbortSignal} [requestOptions.signal] 취소하면 AbortError (메인 스레드에서 처리 중이면 처리가 끝난 뒤에 던짐)
+ * @returns {Promise<File>} 업로드할 파일
+ * @throws {ImageProcessingError} 이미지가 아니거나 줄여도 최대 용량을 넘는 경우, 처리 시간이 초과된 경우
+ */
+export async function preprocessImage(file, options = {}, { signal } = {}) {
+    if (signal?.aborted) throw createAbortError();
+    const processOptions = { ...IMAGE_UPLOAD, ...options };
+
+    let result;
+    try {
+        result = await (processInWorker(file, processOptions, signal) ?? processInMainThread(file, processOptions));
+    } catch (error) {
+        if (error.message !== 'WORKER_UNAVAILABLE') throw error;
+        result = await processInMainThread(file, processOptions);
+    }
+    if (signal?.aborted) throw createAbortError();
+
+    return new File([result.blob], renameWithExtension(file.name, result.type), {
+        type: result.type,
+        lastModified: file.lastModified,
+    });
+}
+
+export { ImageProcessingError };
@@ -0,0 +1,135 @@
+/**
+ * 업로드 전 이미지 전처리
+ * 1. 파일 앞부분의 시그니처로 실제 이미지 형식 확인 (확장자나 MIME 타입은 믿지 않음)
+ * 2. EXIF 방향대로 회전해서 디코딩하고, 긴 변이 maxDimension을 넘으면 비율을 유지해 축소
+ * 3. 캔버스로 다시 저장 (EXIF 등 메타데이터는 캔버스에 옮겨지지 않으므로 모두 제거됨)
+ * 4. 결과가 maxBytes를 넘으면 품질을 낮춰 다시 저장하고, 그래도 크면 에러
+ *
+ * 워커와 메인 스레드에서 함께 사용하므로 DOM에 의존하지 않고 캔버스 생성 함수를 인자로 받음
+ * GIF는 다시 저장하면 애니메이션이 사라지므로 용량만 확인하고 그대로 사용
+ */
+
+const MIN_QUALITY = 0.5;
+const QUALITY_STEP = 0.1;
+// 너무 큰 원본은 디코딩하는 동안 메모리를 많이 쓰므로 최대 용량의 몇 배까지만 받음
+const MAX_INPUT_SIZE_RATIO = 4;
+
+const IMAGE_SIGNATURES = [
+    { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    // RIFF....WEBP
+    { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+];
+
+const SIGNATURE_LENGTH = 12;
+
+export const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+};
+
+export class ImageProcessingError extends Error {
+    /**
+     * @param {'INVALID_IMAGE' | 'FILE_TOO_LARGE' | 'PROCESSING_TIMEOUT'} code
+     * @param {string} message 사용자에게 그대로 보여줄 수 있는 메시지
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'ImageProcessingError';
+        this.code = code;
+    }
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+}
+
+/**
+ * 파일 앞부분 바이트로 이미지 형식 판별
+ * @param {Uint8Array} header
+ * @returns {string | null} MIME 타입
+ */
+export function detectImageType(header) {
+    const matched = IMAGE_SIGNATURES.find(({ bytes }) =>
+        header.length >= bytes.length && bytes.every((byte, index) => byte === null || header[index] === byte));
+    return matched?.type ?? null;
+}
+
+/** 긴 변이 maxDimension 이하가 되도록 비율을 유지한 크기 */
+export function getTargetSize(width, height, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+    };
+}
+
+function canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('이미지를 저장하지 못했습니다.'))), type, quality);
+    });
+}
+
+/**
+ * @param {Blob} file
+ * @param {object} options
+ * @param {number} options.maxBytes
+ * @param {number} options.maxDimension
+ * @param {number} options.quality
+ * @param {(width: number, height: number) => OffscreenCanvas | HTMLCanvasElement} createCanvas
+ * @returns {Promise<{ blob: Blob, type: string, width: number | null, height: number | null }>}
+ */
+export async function processImage(file, { maxBytes, maxDimension, quality }, createCanvas) {
+    const header = new Uint8Array(await file.slice(0, SIGNATURE_LENGTH).arrayBuffer());
+    const type = detectImageType(header);
+    if (!type) {
+        throw new ImageProcessingError('INVALID_IMAGE', 'JPEG, PNG, GIF, WebP 이미지만 업로드할 수 있습니다.');
+    }
+
+    const tooLargeError = new ImageProcessingError('FILE_TOO_LARGE', `이미지 용량은 최대 ${formatMegabytes(maxBytes)}까지 업로드할 수 있습니다.`);
+
+    if (type === 'image/gif') {
+        if (file.size > maxBytes) throw tooLargeError;
+        return { blob: file, type, width: null, height: null };
+    }
+
+    if (file.size > maxBytes * MAX_INPUT_SIZE_RATIO) throw tooLargeError;
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        throw new ImageProcessingError('INVALID_IMAGE', '이미지를 읽을 수 없습니다. 손상된 파일인지 확인해주세요.');
+    }
+
+    const { width, height } = getTargetSize(bitmap.width, bitmap.height, maxDimension);
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+        // JPEG는 투명도가 없으므로 투명한 부분이 검게 저장되지 않도록 흰색으로 채움
+        context.fillStyle = '#FFFFFF';
+        context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    let currentQuality = quality;
+    let blob = await canvasToBlob(canvas, type, currentQuality);
+    // 브라우저가 지원하지 않는 형식(예: 일부 Safari의 WebP)은 PNG로 저장되므로 실제 저장된 형식을 기준으로 처리
+    const outputType = blob.type || type;
+    // PNG는 품질 설정이 적용되지 않으므로 다시 저장하지 않음
+    while (blob.size > maxBytes && outputType !== 'image/png' && currentQuality - QUALITY_STEP >= MIN_QUALITY) {
+        currentQuality -= QUALITY_STEP;
+        blob = await canvasToBlob(canvas, outputType, currentQuality);
+    }
+    if (blob.size > maxBytes) throw tooLargeError;
+
+    return { blob, type: outputType, width, height };
+}
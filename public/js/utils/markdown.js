@@ -0,0 +1,249 @@
+import { escapeHTML } from '/js/utils/template.js';
+import { isSafeUrl, sanitizeHTML } from '/js/utils/sanitize.js';
+
+/**
+ * 게시물 본문용 마크다운 렌더러
+ *
+ * 지원 문법
+ * - 제목      : # ~ ######
+ * - 목록      : -, *, + (순서 없음) / 1. 1) (순서 있음), 들여쓰기로 중첩
+ * - 인용      : >
+ * - 코드 블록 : ``` 또는 ~~~ (언어 지정 가능), 인라인 코드 `code`
+ * - 강조      : **굵게**, *기울임*, ~~취소선~~
+ * - 링크      : [텍스트](주소 "제목"), <https://...>, 본문 안의 http(s) 주소
+ * - 구분선    : ---, ***, ___
+ *
+ * 입력의 모든 텍스트는 이스케이프하므로 원본 HTML은 그대로 출력되지 않음
+ * 화면에 넣을 때는 renderSafeMarkdown으로 새니타이저까지 거친 결과를 사용
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR_PATTERN = /^ {0,3}(?:(?:\*\s*){3,}|(?:-\s*){3,}|(?:_\s*){3,})$/;
+const BLOCKQUOTE_PATTERN = /^ {0,3}>\s?/;
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// 인라인 처리 중 코드/링크를 잠시 치환해두는 자리 표시자 (입력에서는 제거하므로 겹치지 않음)
+const PLACEHOLDER = '\u0000';
+
+function isBlank(line) {
+    return line.trim().length === 0;
+}
+
+function getListType(marker) {
+    return /^\d/.test(marker) ? 'ol' : 'ul';
+}
+
+function isBlockStart(line) {
+    return FENCE_PATTERN.test(line)
+        || HEADING_PATTERN.test(line)
+        || HR_PATTERN.test(line)
+        || BLOCKQUOTE_PATTERN.test(line)
+        || LIST_ITEM_PATTERN.test(line);
+}
+
+/** 인라인 문법 시작 */
+
+function renderLink(text, url, title, renderText) {
+    if (!isSafeUrl(url)) return renderText(text);
+    const titleAttribute = title ? ` title="${escapeHTML(title)}"` : '';
+    return `<a href="${escapeHTML(url)}"${titleAttribute}>${renderText(text)}</a>`;
+}
+
+function renderInline(text) {
+    const stash = [];
+    const keep = (html) => {
+        stash.push(html);
+        return `${PLACEHOLDER}${stash.length - 1}${PLACEHOLDER}`;
+    };
+
+    let result = text
+        // 인라인 코드는 안쪽 문법을 해석하지 않음
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHTML(code.trim())}</code>`))
+        .replace(/\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) =>
+            keep(renderLink(label, url, title, renderEmphasis)))
+        .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, (match, url) => keep(renderLink(url, url, null, escapeHTML)))
+        .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,:;"')\]!?]/g, (url) => keep(renderLink(url, url, null, escapeHTML)));
+
+    result = renderEmphasis(result);
+
+    // 링크 텍스트 안의 인라인 코드처럼 치환해둔 내용 안에도 자리 표시자가 있을 수 있으므로 남지 않을 때까지 되돌림
+    const placeholderPattern = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+    let previous;
+    do {
+        previous = result;
+        result = result.replace(placeholderPattern, (match, index) => stash[Number(index)]);
+    } while (result !== previous);
+    return result;
+}
+
+function renderEmphasis(text) {
+    return escapeHTML(text)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__(?!\w)/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+/** 여러 줄 문단은 줄바꿈을 그대로 보여주기 위해 <br>로 연결 */
+function renderParagraphLines(lines) {
+    return lines.map((line) => renderInline(line.trim())).join('<br>');
+}
+
+/** 인라인 문법 끝 */
+
+/** 블록 문법 시작 */
+
+function parseList(lines, start) {
+    const [, indent, marker] = lines[start].match(LIST_ITEM_PATTERN);
+    const baseIndent = indent.length;
+    const type = getListType(marker);
+    const items = [];
+    let index = start;
+
+    while (index < lines.length) {
+        const match = lines[index].match(LIST_ITEM_PATTERN);
+        if (!match || match[1].length !== baseIndent || getListType(match[2]) !== type) break;
+
+        // 항목 내용의 들여쓰기 기준 (마커 다음 글자 위치)
+        const contentIndent = baseIndent + match[2].length + 1;
+        const itemLines = [match[3]];
+        index += 1;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (isBlank(line)) {
+                // 빈 줄 다음에 들여쓴 내용이 이어지면 같은 항목에 포함
+                const next = lines[index + 1];
+                if (next !== undefined && !isBlank(next) && next.match(/^ */)[0].length > baseIndent) {
+                    itemLines.push('');
+                    index += 1;
+                    continue;
+                }
+                break;
+            }
+            const lineIndent = line.match(/^ */)[0].length;
+            if (lineIndent > baseIndent) {
+                itemLines.push(line.slice(Math.min(lineIndent, contentIndent)));
+                index += 1;
+                continue;
+            }
+            // 들여쓰지 않은 줄이라도 다른 블록이 시작되지 않으면 같은 문단이 이어지는 것으로 처리
+            if (isBlockStart(line)) break;
+            itemLines.push(line);
+            index += 1;
+        }
+
+        items.push(itemLines);
+
+        // 같은 목록의 항목 사이에 있는 빈 줄은 건너뜀
+        if (index < lines.length && isBlank(lines[index])) {
+            const next = lines[index + 1]?.match(LIST_ITEM_PATTERN);
+            if (next && next[1].length === baseIndent && getListType(next[2]) === type) {
+                index += 1;
+            }
+        }
+    }
+
+    const startNumber = type === 'ol' ? parseInt(marker, 10) : 1;
+    const startAttribute = type === 'ol' && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const itemsHTML = items.map((itemLines) => {
+        const html = renderBlocks(itemLines);
+        // 빈 줄 없이 이어진 항목은 첫 문단을 <p> 없이 출력
+        return `<li>${itemLines.includes('') ? html : html.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+    }).join('');
+
+    return { html: `<${type}${startAttribute}>${itemsHTML}</${type}>`, next: index };
+}
+
+function renderBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (isBlank(line)) {
+            index += 1;
+            continue;
+        }
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const [, marker, language] = fence;
+            const codeLines = [];
+            index += 1;
+            while (index < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[index])) {
+                codeLines.push(lines[index]);
+                index += 1;
+            }
+            index += 1;
+            const classAttribute = language ? ` class="language-${escapeHTML(language)}"` : '';
+            blocks.push(`<pre><code${classAttribute}>${escapeHTML(codeLines.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            index += 1;
+            continue;
+        }
+
+        if (HR_PATTERN.test(line)) {
+            blocks.push('<hr>');
+            index += 1;
+            continue;
+        }
+
+        if (BLOCKQUOTE_PATTERN.test(line)) {
+            const quoteLines = [];
+            while (index < lines.length && BLOCKQUOTE_PATTERN.test(lines[index])) {
+                quoteLines.push(lines[index].replace(BLOCKQUOTE_PATTERN, ''));
+                index += 1;
+            }
+            blocks.push(`<blockquote>${renderBlocks(quoteLines)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = parseList(lines, index);
+            blocks.push(list.html);
+            index = list.next;
+            continue;
+        }
+
+        const paragraphLines = [];
+        while (index < lines.length && !isBlank(lines[index]) && (paragraphLines.length === 0 || !isBlockStart(lines[index]))) {
+            paragraphLines.push(lines[index]);
+            index += 1;
+        }
+        blocks.push(`<p>${renderParagraphLines(paragraphLines)}</p>`);
+    }
+
+    return blocks.join('');
+}
+
+/** 블록 문법 끝 */
+
+/**
+ * 마크다운을 HTML 문자열로 변환 (새니타이즈 전)
+ * @param {string} source
+ */
+export function renderMarkdown(source) {
+    const normalized = String(source ?? '')
+        .replaceAll(PLACEHOLDER, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ');
+    return renderBlocks(normalized.split('\n'));
+}
+
+/**
+ * 마크다운을 새니타이즈된 HTML로 변환
+ * innerHTML로 화면에 넣는 경우 반드시 이 함수를 사용
+ */
+export function renderSafeMarkdown(source) {
+    return sanitizeHTML(renderMarkdown(source));
+}
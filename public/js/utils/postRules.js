@@ -0,0 +1,35 @@
+/**
+ * 게시물/댓글 입력 규칙 (formValidation.js 규칙 형식)
+ * 게시물 작성/수정 폼과 댓글/답글/댓글 수정 입력에서 같은 규칙을 사용
+ */
+
+export const POST_TITLE_MAX_LENGTH = 26;
+export const POST_CONTENT_MAX_LENGTH = 5000;
+export const COMMENT_MAX_LENGTH = 300;
+
+export const POST_TITLE_RULES = {
+    required: '제목을 입력해주세요.',
+    maxLength: POST_TITLE_MAX_LENGTH,
+    warningThreshold: 5,
+    messages: {
+        maxLength: `제목은 최대 ${POST_TITLE_MAX_LENGTH}자까지 입력할 수 있습니다.`,
+    },
+};
+
+export const POST_CONTENT_RULES = {
+    required: '게시글 내용을 입력해주세요.',
+    maxLength: POST_CONTENT_MAX_LENGTH,
+    messages: {
+        maxLength: `게시글 내용은 최대 ${POST_CONTENT_MAX_LENGTH}자까지 입력할 수 있습니다.`,
+    },
+};
+
+/** 댓글, 답글, 댓글 수정 공통 */
+export const COMMENT_RULES = {
+    required: '댓글 내용을 입력해주세요.',
+    maxLength: COMMENT_MAX_LENGTH,
+    warningThreshold: 30,
+    messages: {
+        maxLength: `댓글은 최대 ${COMMENT_MAX_LENGTH}자까지 입력할 수 있습니다.`,
+    },
+};
@@ -0,0 +1,51 @@
+/**
+ * 게시물/댓글 응답을 템플릿 데이터로 변환
+ * 게시물 목록, 게시물 상세, 사용자 프로필 페이지에서 같은 형태로 사용
+ */
+
+const DEFAULT_PROFILE_IMAGE_URL = '/assets/imgs/profile_icon.svg';
+
+/** 게시물/댓글 작성 시각 표시 형식 */
+export function formatDateTime(value, options) {
+    return new Date(value).toLocaleString('ko-KR', options ?? {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false
+    });
+}
+
+/**
+ * 작성자 정보
+ * 응답에 작성자 ID가 없으면 authorId가 null이 되고, 템플릿은 프로필 링크 없이 표시함 ({{#if authorId}})
+ * @param {object} [author] 응답의 author
+ * @param {object} [fallbackAuthor] author의 값이 없을 때 사용할 작성자 (프로필 페이지의 사용자 등)
+ */
+export function toAuthorViewModel(author, fallbackAuthor) {
+    return {
+        authorId : author?.userId ?? fallbackAuthor?.userId ?? null,
+        author : author?.nickname ?? fallbackAuthor?.nickname ?? '익명',
+        profileImageUrl : author?.profileImageUrl ?? fallbackAuthor?.profileImageUrl ?? DEFAULT_PROFILE_IMAGE_URL,
+    };
+}
+
+/**
+ * 게시물 목록 항목 (postItem.html)
+ * @param {object} post
+ * @param {object} [options]
+ * @param {object} [options.fallbackAuthor] toAuthorViewModel 참고
+ */
+export function toPostItemViewModel(post, { fallbackAuthor } = {}) {
+    return {
+        postId : post.postId,
+        title : post.title,
+        ...toAuthorViewModel(post.author, fallbackAuthor),
+        date : formatDateTime(post.createdAt),
+        views : post.viewCount ?? 0,
+        likes : post.likeCount ?? 0,
+        comments : post.commentCount ?? 0,
+    };
+}
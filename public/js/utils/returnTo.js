@@ -0,0 +1,54 @@
+/**
+ * 로그인 후 원래 페이지로 돌아가기 위한 returnTo 처리
+ * 오픈 리다이렉트를 막기 위해 같은 출처의 상대 경로만 허용
+ */
+
+export const SIGN_IN_PATH = '/users/signin';
+const RETURN_TO_PARAM = 'returnTo';
+
+// 로그인/회원가입 페이지로 되돌아가면 무한 루프가 되므로 제외
+const EXCLUDED_PATHS = ['/users/signin', '/users/signup'];
+
+export function sanitizeReturnTo(value) {
+    if (typeof value !== 'string' || value.length === 0 || value.length > 2048) return null;
+
+    // 반드시 단일 슬래시로 시작하는 상대 경로여야 함 (//evil.com, /\evil.com, javascript: 등 차단)
+    if (!value.startsWith('/') || value.startsWith('//') || value.includes('\\')) return null;
+    // 제어 문자/공백이 섞이면 브라우저마다 해석이 달라질 수 있으므로 차단
+    if (/[\u0000-\u001F\u007F\s]/.test(value)) return null;
+
+    let url;
+    try {
+        url = new URL(value, window.location.origin);
+    } catch (error) {
+        return null;
+    }
+
+    if (url.origin !== window.location.origin) return null;
+    if (EXCLUDED_PATHS.some((path) => url.pathname === path || url.pathname.startsWith(`${path}/`))) return null;
+
+    return `${url.pathname}${url.search}${url.hash}`;
+}
+
+export function getCurrentPath() {
+    const { pathname, search, hash } = window.location;
+    return `${pathname}${search}${hash}`;
+}
+
+/** 현재 페이지 URL의 returnTo 쿼리 값 (검증된 값만 반환) */
+export function getReturnTo() {
+    const params = new URLSearchParams(window.location.search);
+    return sanitizeReturnTo(params.get(RETURN_TO_PARAM));
+}
+
+/** returnTo를 유지한 채로 이동할 URL 생성 (유효하지 않은 returnTo는 버림) */
+export function withReturnTo(path, returnTo) {
+    const safeReturnTo = sanitizeReturnTo(returnTo);
+    if (!safeReturnTo) return path;
+    const params = new URLSearchParams({ [RETURN_TO_PARAM]: safeReturnTo });
+    return `${path}?${params.toString()}`;
+}
+
+export function buildSignInUrl(returnTo = getCurrentPath()) {
+    return withReturnTo(SIGN_IN_PATH, returnTo);
+}
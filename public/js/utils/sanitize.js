@@ -0,0 +1,108 @@
+/**
+ * HTML 새니타이저 (허용 목록 방식)
+ * 사용자 입력으로 만든 HTML을 화면에 넣기 전에 허용한 요소와 속성만 남기고 모두 제거함
+ *
+ * - 허용하지 않은 요소는 태그만 벗기고 텍스트는 유지 (script, style 등 위험한 요소는 내용까지 제거)
+ * - 허용하지 않은 속성과 on* 이벤트 속성은 모두 제거
+ * - href는 http(s), mailto, 같은 사이트의 상대 경로만 허용
+ */
+
+const DEFAULT_ALLOWED_TAGS = [
+    'p', 'br', 'hr',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li',
+    'blockquote', 'pre', 'code',
+    'strong', 'em', 'del', 'a',
+];
+
+const DEFAULT_ALLOWED_ATTRIBUTES = {
+    a: ['href', 'title'],
+    ol: ['start'],
+    code: ['class'],
+};
+
+/** 속성별 값 검사 (통과하지 못하면 속성 제거) */
+const ATTRIBUTE_VALIDATORS = {
+    href: (value) => isSafeUrl(value),
+    start: (value) => /^\d{1,9}$/.test(value),
+    class: (value) => /^language-[\w-]+$/.test(value),
+};
+
+const DROP_WITH_CONTENT_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'template', 'noscript', 'svg', 'math', 'textarea', 'select', 'option',
+    'head', 'title', 'meta', 'link', 'base',
+]);
+
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:)/i;
+
+export function isSafeUrl(value) {
+    if (typeof value !== 'string') return false;
+    // 브라우저는 URL 앞뒤 공백과 중간의 탭/줄바꿈을 무시하므로 제거한 뒤 검사 (java\tscript: 등 차단)
+    const url = value.trim().replace(/[\u0000-\u001F\u007F\s]/g, '');
+    if (url.length === 0) return false;
+    if (SAFE_URL_PATTERN.test(url)) return true;
+    // 그 외에는 프로토콜이 없는 상대 경로만 허용 (//example.com 같은 프로토콜 상대 URL은 제외)
+    // (브라우저는 /\example.com 도 //example.com 으로 해석하므로 함께 차단)
+    if (/^[\\/]{2}/.test(url)) return false;
+    return !/^[^/?#]*:/.test(url);
+}
+
+function isExternalUrl(value) {
+    return /^https?:/i.test(value.trim());
+}
+
+function sanitizeElement(element, allowedTags, allowedAttributes) {
+    Array.from(element.childNodes).forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            child.remove();
+            return;
+        }
+
+        const tagName = child.tagName.toLowerCase();
+        if (DROP_WITH_CONTENT_TAGS.has(tagName)) {
+            child.remove();
+            return;
+        }
+
+        sanitizeElement(child, allowedTags, allowedAttributes);
+
+        if (!allowedTags.has(tagName)) {
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+
+        const allowedNames = allowedAttributes[tagName] ?? [];
+        Array.from(child.attributes).forEach(({ name, value }) => {
+            const validate = ATTRIBUTE_VALIDATORS[name];
+            if (!allowedNames.includes(name) || (validate && !validate(value))) {
+                child.removeAttribute(name);
+            }
+        });
+
+        // 외부 링크는 새 탭에서 열고 원래 페이지에 접근하지 못하도록 함
+        if (tagName === 'a' && child.hasAttribute('href') && isExternalUrl(child.getAttribute('href'))) {
+            child.setAttribute('target', '_blank');
+            child.setAttribute('rel', 'noopener noreferrer nofollow');
+        }
+    });
+}
+
+/**
+ * @param {string} html
+ * @param {object} [options]
+ * @param {string[]} [options.allowedTags] 허용할 요소 (기본: 마크다운 렌더링 결과에 쓰이는 요소)
+ * @param {Record<string, string[]>} [options.allowedAttributes] 요소별 허용 속성
+ * @returns {string} 새니타이즈된 HTML
+ */
+export function sanitizeHTML(html, {
+    allowedTags = DEFAULT_ALLOWED_TAGS,
+    allowedAttributes = DEFAULT_ALLOWED_ATTRIBUTES,
+} = {}) {
+    // DOMParser로 만든 문서는 스크립트를 실행하거나 이미지 등 리소스를 불러오지 않음
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html ?? ''}</body>`, 'text/html');
+    sanitizeElement(doc.body, new Set(allowedTags), allowedAttributes);
+    return doc.body.innerHTML;
+}
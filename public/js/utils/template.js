@@ -0,0 +1,171 @@
+/**
+ * HTML 템플릿 렌더러
+ *
+ * 지원 문법
+ * - {{key}}                  : HTML 이스케이프된 값 출력 (기본)
+ * - {{{key}}}                : 이스케이프 없이 그대로 출력 (신뢰할 수 있는 마크업 전용)
+ * - {{#if key}}...{{else}}...{{/if}}
+ * - {{#unless key}}...{{/unless}}
+ * - {{#each key}}...{{else}}...{{/each}} : 배열 순회, 내부에서 {{this}}, {{@index}}, 항목의 필드 사용 가능
+ *
+ * key는 a.b.c 형태의 경로를 지원하며, 현재 스코프에 없으면 상위 스코프에서 찾는다.
+ */
+
+const ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;',
+};
+
+const TOKEN_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#|\/)?\s*([\w.@]+)(?:\s+([\w.@]+))?\s*\}\}/g;
+const BLOCK_TYPES = ['if', 'unless', 'each'];
+
+const compiledCache = new Map();
+
+export function escapeHTML(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[&<>"'`]/g, (char) => ESCAPE_MAP[char]);
+}
+
+function parse(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [{ node: root, branch: root.children }];
+    let lastIndex = 0;
+
+    const current = () => stack[stack.length - 1];
+    const pushText = (text) => {
+        if (text) current().branch.push({ type: 'text', value: text });
+    };
+
+    for (const match of source.matchAll(TOKEN_PATTERN)) {
+        const [token, rawKey, sigil, name, argument] = match;
+        pushText(source.slice(lastIndex, match.index));
+        lastIndex = match.index + token.length;
+
+        if (rawKey) {
+            current().branch.push({ type: 'raw', key: rawKey });
+        } else if (sigil === '#' && BLOCK_TYPES.includes(name) && argument) {
+            const block = { type: name, key: argument, children: [], alternate: [] };
+            current().branch.push(block);
+            stack.push({ node: block, branch: block.children });
+        } else if (sigil === '/' && BLOCK_TYPES.includes(name)) {
+            if (current().node.type !== name) {
+                throw new Error(`템플릿 오류: {{/${name}}}에 대응하는 여는 블록이 없습니다.`);
+            }
+            stack.pop();
+        } else if (!sigil && name === 'else' && !argument) {
+            if (current().node.type === 'root') {
+                throw new Error('템플릿 오류: 블록 밖에서 {{else}}가 사용되었습니다.');
+            }
+            current().branch = current().node.alternate;
+        } else if (!sigil && !argument) {
+            current().branch.push({ type: 'value', key: name });
+        } else {
+            pushText(token);
+        }
+    }
+
+    pushText(source.slice(lastIndex));
+
+    if (stack.length > 1) {
+        throw new Error(`템플릿 오류: {{#${current().node.type}}} 블록이 닫히지 않았습니다.`);
+    }
+
+    return root.children;
+}
+
+function lookup(scopes, key) {
+    if (key === 'this') return scopes[scopes.length - 1].value;
+
+    const [head, ...rest] = key.split('.');
+    for (let i = scopes.length - 1; i >= 0; i -= 1) {
+        const scope = scopes[i];
+        let target;
+        if (head === 'this') {
+            target = scope.value;
+        } else if (head.startsWith('@')) {
+            if (!(head in scope.meta)) continue;
+            target = scope.meta[head];
+        } else if (scope.value !== null && typeof scope.value === 'object' && head in scope.value) {
+            target = scope.value[head];
+        } else {
+            continue;
+        }
+        return rest.reduce((acc, part) => (acc === undefined || acc === null ? undefined : acc[part]), target);
+    }
+    return undefined;
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+function renderNodes(nodes, scopes) {
+    let html = '';
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                html += node.value;
+                break;
+            case 'value':
+                html += escapeHTML(lookup(scopes, node.key));
+                break;
+            case 'raw': {
+                const value = lookup(scopes, node.key);
+                html += value === undefined || value === null ? '' : String(value);
+                break;
+            }
+            case 'if':
+                html += renderNodes(isTruthy(lookup(scopes, node.key)) ? node.children : node.alternate, scopes);
+                break;
+            case 'unless':
+                html += renderNodes(isTruthy(lookup(scopes, node.key)) ? node.alternate : node.children, scopes);
+                break;
+            case 'each': {
+                const items = lookup(scopes, node.key);
+                if (!Array.isArray(items) || items.length === 0) {
+                    html += renderNodes(node.alternate, scopes);
+                    break;
+                }
+                items.forEach((item, index) => {
+                    html += renderNodes(node.children, [
+                        ...scopes,
+                        { value: item, meta: { '@index': index, '@first': index === 0, '@last': index === items.length - 1 } },
+                    ]);
+                });
+                break;
+            }
+            default:
+                break;
+        }
+    }
+    return html;
+}
+
+export function compileTemplate(source) {
+    const templateSource = source ?? '';
+    if (compiledCache.has(templateSource)) {
+        return compiledCache.get(templateSource);
+    }
+
+    const nodes = parse(templateSource);
+    const render = (data = {}) => renderNodes(nodes, [{ value: data, meta: {} }]);
+    compiledCache.set(templateSource, render);
+    return render;
+}
+
+export function renderTemplate(source, data) {
+    return compileTemplate(source)(data);
+}
+
+export async function loadTemplate(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`템플릿을 불러오지 못했습니다: ${url} (HTTP ${response.status})`);
+    }
+    return compileTemplate(await response.text());
+}
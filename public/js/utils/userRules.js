@@ -0,0 +1,118 @@
+import { countGraphemes } from '/js/utils/graphemes.js';
+
+/**
+ * 회원 정보 입력 규칙 (formValidation.js 규칙 형식)
+ * 회원가입, 로그인, 회원 정보/비밀번호 수정 폼에서 같은 규칙을 사용
+ */
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_LENGTH = 20;
+
+export const NICKNAME_MAX_LENGTH = 10;
+
+export const EMAIL_RULES = {
+    required: '이메일을 입력해주세요.',
+    pattern: EMAIL_PATTERN,
+    messages: {
+        pattern: '올바른 이메일 주소 형식을 입력해주세요. (예: example@example.com)',
+    },
+};
+
+export const PASSWORD_RULES = {
+    required: '비밀번호를 입력해주세요.',
+    minLength: PASSWORD_MIN_LENGTH,
+    maxLength: PASSWORD_MAX_LENGTH,
+    // 아래 PASSWORD_POLICIES의 필수 항목(영문, 숫자 포함)
+    pattern: /^(?=[\s\S]*[A-Za-z])(?=[\s\S]*\d)/,
+    trim: false,
+    counter: false,
+    truncate: false,
+    messages: {
+        minLength: `비밀번호는 ${PASSWORD_MIN_LENGTH}자 이상, ${PASSWORD_MAX_LENGTH}자 이하로 입력해주세요.`,
+        maxLength: `비밀번호는 ${PASSWORD_MIN_LENGTH}자 이상, ${PASSWORD_MAX_LENGTH}자 이하로 입력해주세요.`,
+        pattern: '비밀번호는 영문과 숫자를 모두 포함해야 합니다.',
+    },
+};
+
+/**
+ * 비밀번호 정책 안내 항목
+ * required 항목은 PASSWORD_RULES로 검사하고 나머지는 강도 계산과 권장 안내에만 사용
+ */
+export const PASSWORD_POLICIES = [
+    {
+        key: 'length',
+        label: `${PASSWORD_MIN_LENGTH}자 이상 ${PASSWORD_MAX_LENGTH}자 이하`,
+        required: true,
+        test: (password) => {
+            const length = countGraphemes(password);
+            return length >= PASSWORD_MIN_LENGTH && length <= PASSWORD_MAX_LENGTH;
+        },
+    },
+    { key: 'letter', label: '영문 포함', required: true, test: (password) => /[A-Za-z]/.test(password) },
+    { key: 'number', label: '숫자 포함', required: true, test: (password) => /\d/.test(password) },
+    { key: 'symbol', label: '특수문자 포함', test: (password) => /[^\p{L}\p{N}\s]/u.test(password) },
+];
+
+const PASSWORD_STRENGTH_LEVELS = [
+    { key: 'weak', label: '약함' },
+    { key: 'fair', label: '보통' },
+    { key: 'strong', label: '강함' },
+];
+// 이 길이 이상이면 강도 한 단계 추가
+const PASSWORD_LONG_LENGTH = 12;
+
+/**
+ * 비밀번호 강도
+ * 필수 정책(길이, 영문, 숫자)을 만족하면 1점(약함)에서 시작해 선택 항목(특수문자)과 길이로 한 단계씩 올라감
+ * 필수 정책을 만족하지 못하면 0점(약함)
+ * @returns {{ score: number, level: 'weak' | 'fair' | 'strong', label: string, policies: Record<string, boolean> }}
+ */
+export function getPasswordStrength(password) {
+    const value = String(password ?? '');
+    const policies = Object.fromEntries(PASSWORD_POLICIES.map((policy) => [policy.key, policy.test(value)]));
+    const meetsRequired = PASSWORD_POLICIES.every((policy) => !policy.required || policies[policy.key]);
+
+    let score = 0;
+    if (value.length > 0 && meetsRequired) {
+        const optionalCount = PASSWORD_POLICIES.filter((policy) => !policy.required && policies[policy.key]).length;
+        score = Math.min(1 + optionalCount + (countGraphemes(value) >= PASSWORD_LONG_LENGTH ? 1 : 0), 3);
+    }
+
+    const level = PASSWORD_STRENGTH_LEVELS[Math.max(score - 1, 0)];
+    return { score, level: level.key, label: level.label, policies };
+}
+
+/** 새 비밀번호 필드 규칙 (현재 비밀번호와 같으면 안 됨) */
+export function newPasswordRules(currentPasswordFieldName) {
+    return {
+        ...PASSWORD_RULES,
+        notMatches: currentPasswordFieldName,
+        messages: {
+            ...PASSWORD_RULES.messages,
+            notMatches: '새 비밀번호는 현재 비밀번호와 달라야 합니다.',
+        },
+    };
+}
+
+/** 비밀번호 확인 필드 규칙 */
+export function passwordConfirmRules(passwordFieldName) {
+    return {
+        required: '비밀번호를 한번 더 입력해주세요.',
+        matches: passwordFieldName,
+        trim: false,
+        messages: {
+            matches: '비밀번호가 일치하지 않습니다.',
+        },
+    };
+}
+
+export const NICKNAME_RULES = {
+    required: '닉네임을 입력해주세요.',
+    maxLength: NICKNAME_MAX_LENGTH,
+    pattern: /^\S+$/,
+    messages: {
+        pattern: '닉네임에는 띄어쓰기를 사용할 수 없습니다.',
+    },
+};
@@ -0,0 +1,22 @@
+import { processImage } from '/js/utils/imageProcessing.js';
+
+/**
+ * 이미지 전처리 워커
+ * 큰 사진을 디코딩/축소/인코딩하는 동안 폼이 멈추지 않도록 OffscreenCanvas로 처리함
+ *
+ * 요청: { id, file, options }
+ * 응답: { id, result: { blob, type, width, height } } 또는 { id, error: { name, code, message } }
+ */
+
+self.addEventListener('message', async (event) => {
+    const { id, file, options } = event.data;
+    try {
+        const result = await processImage(file, options, (width, height) => new OffscreenCanvas(width, height));
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({
+            id,
+            error: { name: error.name, code: error.code ?? null, message: error.message },
+        });
+    }
+});
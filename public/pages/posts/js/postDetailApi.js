@@ -1,4 +1,13 @@
 import { PostAPI } from "/js/api/posts.js";
+import { isAbortError } from "/js/api/base.js";
+import { subscribePostEvents } from "/js/api/liveEvents.js";
+import { loadTemplate } from "/js/utils/template.js";
+import { renderSafeMarkdown } from "/js/utils/markdown.js";
+import { formatDateTime, toAuthorViewModel } from "/js/utils/postView.js";
+import { confirmDialog } from "/js/ui/dialog.js";
+import { openLightbox } from "/js/ui/lightbox.js";
+import { attachFieldValidation } from "/js/ui/formValidation.js";
+import { COMMENT_MAX_LENGTH, COMMENT_RULES } from "/js/utils/postRules.js";
 
 const pathParts = window.location.pathname.split('/');
 const postIdFromPath = pathParts[pathParts.length - 1];
@@ -6,190 +15,95 @@ const postIdFromPath = pathParts[pathParts.length - 1];
 /** Post Detail API 호출 및 데이터 처리 시작 */
 
 const postDetailElement = document.querySelector(".post-detail");
-const modalBackdrop = document.querySelector('[data-modal="confirm"]');
-const modalTitleElement = modalBackdrop?.querySelector('.modal-title');
-const modalDescriptionElement = modalBackdrop?.querySelector('.modal-description');
-const modalConfirmButton = modalBackdrop?.querySelector('.modal-confirm-button');
-const modalCancelButton = modalBackdrop?.querySelector('.modal-cancel-button');
-const FOCUSABLE_MODAL_SELECTORS = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex]:not([tabindex="-1"])';
-let isModalActive = false;
 
 let isPostLoading = false;
 let postTemplate = null;
 let isPostLike = null;
 let isLikeProcessing = false;
-const COMMENT_MAX_LENGTH = 300;
+/** 답글 깊이 제한 (댓글 0, 답글 1, 답글의 답글 2) */
+const MAX_COMMENT_DEPTH = 2;
+const REPLY_PAGE_SIZE = 5;
+const REPLY_RULES = {
+    ...COMMENT_RULES,
+    required: '답글 내용을 입력해주세요.',
+    messages: {
+        maxLength: `답글은 최대 ${COMMENT_MAX_LENGTH}자까지 입력할 수 있습니다.`,
+    },
+};
 let commentCount = 0;
 let commentCountValueElement = null;
 let editingCommentState = null;
 
-function showConfirmationModal({
-    title,
-    description,
-    confirmText = '확인',
-    cancelText = '취소',
-} = {}) {
-    if (!modalBackdrop || !modalConfirmButton || !modalCancelButton) {
-        const fallbackMessage = [title, description].filter(Boolean).join('\n');
-        return Promise.resolve(window.confirm(fallbackMessage || '확인하시겠습니까?'));
-    }
-
-    return new Promise((resolve) => {
-        if (isModalActive) {
-            resolve(false);
-            return;
-        }
-        isModalActive = true;
-
-        if (modalTitleElement) modalTitleElement.textContent = title ?? '';
-        if (modalDescriptionElement) modalDescriptionElement.textContent = description ?? '';
-        modalConfirmButton.textContent = confirmText ?? '확인';
-        modalCancelButton.textContent = cancelText ?? '취소';
-
-        const focusableElements = Array.from(
-            modalBackdrop.querySelectorAll(FOCUSABLE_MODAL_SELECTORS)
-        ).filter((el) => !el.hasAttribute('disabled'));
-
-        const previouslyFocusedElement = document.activeElement instanceof HTMLElement
-            ? document.activeElement
-            : null;
-
-        const cleanup = () => {
-            isModalActive = false;
-            modalBackdrop.classList.remove('is-active');
-            document.body.classList.remove('is-modal-open');
-            modalConfirmButton.removeEventListener('click', handleConfirm);
-            modalCancelButton.removeEventListener('click', handleCancel);
-            modalBackdrop.removeEventListener('keydown', handleKeydown);
-            modalBackdrop.removeEventListener('click', handleBackdropClick);
-            if (previouslyFocusedElement) previouslyFocusedElement.focus();
-        };
-
-        const handleConfirm = () => {
-            cleanup();
-            resolve(true);
-        };
-
-        const handleCancel = () => {
-            cleanup();
-            resolve(false);
-        };
-
-        const handleBackdropClick = (event) => {
-            if (event.target === modalBackdrop) {
-                event.stopPropagation();
-            }
-        };
-
-        const handleKeydown = (event) => {
-            if (event.key === 'Escape') {
-                event.preventDefault();
-                handleCancel();
-                return;
-            }
-
-            if (event.key === 'Tab' && focusableElements.length > 0) {
-                const first = focusableElements[0];
-                const last = focusableElements[focusableElements.length - 1];
-
-                if (!event.shiftKey && document.activeElement === last) {
-                    event.preventDefault();
-                    first.focus();
-                } else if (event.shiftKey && document.activeElement === first) {
-                    event.preventDefault();
-                    last.focus();
-                }
-            }
-        };
+async function loadPostDetail() {
+    postTemplate = await loadTemplate("/pages/posts/components/postDetail.html");
+}
 
-        modalConfirmButton.addEventListener('click', handleConfirm);
-        modalCancelButton.addEventListener('click', handleCancel);
-        modalBackdrop.addEventListener('keydown', handleKeydown);
-        modalBackdrop.addEventListener('click', handleBackdropClick);
+/**
+ * 게시물 작성자가 아닌 경우 수정/삭제 버튼은 템플릿의 {{#if isAuthor}} 블록에서 제외됨
+ * 게시물 이미지는 템플릿의 {{#each postImages}} 블록으로 렌더링하고, 누르면 라이트박스로 크게 보여줌
+ */
+function renderPostDetailHTML(post){
+    return postTemplate(post);
+}
 
-        document.body.classList.add('is-modal-open');
-        modalBackdrop.classList.add('is-active');
+// 마지막으로 그린 게시물 응답 (재검증 결과와 비교용)
+let renderedPost = null;
 
-        if (modalConfirmButton) {
-            modalConfirmButton.focus();
-        }
-    });
+/** 조회수처럼 요청할 때마다 바뀌는 통계를 뺀 게시물 내용 */
+function getPostContentSignature(post) {
+    const { viewCount, likeCount, commentCount, ...content } = post ?? {};
+    return JSON.stringify(content);
 }
 
-async function loadPostDetail(postId) {
-    const response = await fetch("/pages/posts/components/postDetail.html");
-    postTemplate = await response.text();
-}
+function renderPostDetail(post) {
+    renderedPost = post;
+    const processedPost = {
+        postId : postIdFromPath,
+        title : post.title,
+        postImages : (post.imageUrls ?? []).map((url, index, urls) => ({
+            url,
+            alt : `게시물 이미지 ${index + 1} / ${urls.length}`,
+        })),
+        postImageCount : post.imageUrls?.length ?? 0,
+        // 본문은 마크다운으로 렌더링한 뒤 새니타이저를 거친 HTML만 출력 ({{{contentHtml}}})
+        contentHtml : renderSafeMarkdown(post.content),
+        ...toAuthorViewModel(post.author),
+        date : formatDateTime(post.createdAt),
+        views : post.viewCount ?? 0,
+        likes : post.likeCount ?? 0,
+        comments : post.commentCount ?? 0,
+        isAuthor : post.isAuthor,
+        isLiked : post.isLiked,
+    };
 
-function renderPostDetailHTML(post){
-    let html = Object.entries(post).reduce(
-        (html, [key, value]) => html.replace(new RegExp(`{{${key}}}`, "g"), value ?? ""),
-        postTemplate
-    );
+    isPostLike = processedPost.isLiked;
 
-    /**
-     * 게시물 작성자가 아닌 경우, 수정 및 삭제 버튼 제거
-     * 현재 템플릿에서 data-post-id="{{postId}}" 속성으로 문자열이 바뀔 수 있으므로 정규표현식으로 처리
-     */
-    if (!post.isAuthor) {
-        html = html
-            .replace(/<button[^>]*class="btn btn-outline update-post"[^>]*>[\s\S]*?<\/button>/, '')
-            .replace(/<button[^>]*class="btn btn-danger delete-post"[^>]*>[\s\S]*?<\/button>/, '');
-    }
-    return html;
+    postDetailElement.innerHTML = renderPostDetailHTML(processedPost);
+    initializePostGallery(processedPost);
+    initializePostDetailInteractions(processedPost);
+    initializePostDetailStats(processedPost);
 }
 
+/**
+ * 캐시된 게시물이 있으면 먼저 보여주고, 백그라운드 재검증 결과가 다르면 다시 렌더링
+ * 조회수는 요청할 때마다 올라가므로 통계만 바뀌었으면 다시 그리지 않고 통계만 갱신 (이미지, 이벤트 유지)
+ * 좋아요 처리 중에는 버튼 상태가 덮어써지지 않도록 재렌더링을 건너뜀
+ */
 async function fetchPostDetail(postId) {
     if (isPostLoading) return;
     isPostLoading = true;
     try {
-        const response = await PostAPI.getPostById(postId);
-        const post = response.data;
-        const processedPost = {
-            postId : postIdFromPath,
-            title : post.title,
-            postImageUrls : post.imageUrls ?? [],
-            content : post.content,
-            profileImageUrl : post.author.profileImageUrl ?? '/assets/imgs/profile_icon.svg',
-            author : post.author.nickname,
-            date : new Date(post.createdAt).toLocaleString('ko-KR', {
-                year: 'numeric',
-                month: '2-digit',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: false
-            }),
-            views : post.viewCount ?? 0,
-            likes : post.likeCount ?? 0,
-            comments : post.commentCount ?? 0,
-            isAuthor : post.isAuthor,
-            isLiked : post.isLiked,
-        };
-
-        isPostLike = processedPost.isLiked;
-
-        const postHTML = renderPostDetailHTML(processedPost);
-
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = postHTML;
-
-        const imageContainer = tempDiv.querySelector('.post-images');
-        if (processedPost.postImageUrls.length > 0) {
-            processedPost.postImageUrls.forEach(url => {
-                const img = document.createElement('img');
-                img.src = url;
-                img.alt = 'Post Image';
-                imageContainer.appendChild(img);
-            });
-        } else {
-            imageContainer.style.display = 'none';
-        }
-
-        postDetailElement.innerHTML = tempDiv.innerHTML;
-        initializePostDetailInteractions(processedPost);
-        initializePostDetailStats(processedPost);
+        const response = await PostAPI.getPostById(postId, {
+            onRevalidate: (fresh) => {
+                if (!fresh?.data) return;
+                if (getPostContentSignature(fresh.data) === getPostContentSignature(renderedPost)) {
+                    applyPostStats(fresh.data);
+                } else if (!isLikeProcessing) {
+                    renderPostDetail(fresh.data);
+                }
+            },
+        });
+        renderPostDetail(response.data);
     } catch (error) {
         console.error("게시물 상세 불러오기 실패:", error);
     } finally {
@@ -207,6 +121,35 @@ if (postIdFromPath) {
 
 /** Post Detail API 호출 및 데이터 처리 끝 */
 
+/**
+ * 게시물 이미지 갤러리
+ * 이미지는 지연 로딩하고 불러오기 전까지 자리 표시자를 보여주며, 누르면 라이트박스로 크게 보여줌
+ */
+function initializePostGallery(post) {
+    const galleryElement = postDetailElement.querySelector(".post-images");
+    if (!galleryElement) return;
+
+    galleryElement.querySelectorAll(".post-image").forEach((image) => {
+        const item = image.closest(".post-image-item");
+        const markLoaded = () => item.classList.add("is-loaded");
+        const markFailed = () => item.classList.add("is-loaded", "is-error");
+        // 캐시된 이미지는 리스너를 붙이기 전에 이미 불러왔을 수 있음
+        if (image.complete) {
+            if (image.naturalWidth > 0) markLoaded();
+            else if (image.currentSrc) markFailed();
+        }
+        image.addEventListener("load", markLoaded, { once: true });
+        image.addEventListener("error", markFailed, { once: true });
+    });
+
+    galleryElement.addEventListener("click", (event) => {
+        const button = event.target.closest(".post-image-button");
+        if (!button) return;
+        const images = post.postImages.map(({ url, alt }) => ({ src: url, alt }));
+        openLightbox(images, Number(button.dataset.index));
+    });
+}
+
 function initializePostDetailInteractions(post) {
     const likeButton = postDetailElement.querySelector(".post-like-toggle");
     if (!likeButton) return;
@@ -271,6 +214,25 @@ function updateCommentCountDisplay() {
     }
 }
 
+/**
+ * 서버가 보내준 통계로 화면 갱신
+ * 좋아요 처리 중에는 요청 결과로 갱신되므로 좋아요 수는 건너뜀
+ */
+function applyPostStats({ likeCount, commentCount: nextCommentCount, viewCount } = {}) {
+    if (likeCount !== undefined && !isLikeProcessing) {
+        const likeValueElement = postDetailElement.querySelector(".post-like-toggle .stat-value");
+        if (likeValueElement) likeValueElement.textContent = String(likeCount);
+    }
+    if (nextCommentCount !== undefined) {
+        commentCount = Number(nextCommentCount);
+        updateCommentCountDisplay();
+    }
+    if (viewCount !== undefined) {
+        const viewValueElement = findStatValueElement("조회");
+        if (viewValueElement) viewValueElement.textContent = String(viewCount);
+    }
+}
+
 /** Post 수정 API 호출 및 데이터 처리 시작 */
 
 postDetailElement.addEventListener("click", async (event) => {
@@ -291,11 +253,12 @@ postDetailElement.addEventListener("click", async (event) => {
         const postId = event.target.dataset.postId;
         if (!postId) return;
 
-        const confirmed = await showConfirmationModal({
+        const confirmed = await confirmDialog({
             title: '게시글을 삭제하시겠습니까?',
             description: '삭제한 내용은 복구할 수 없습니다.',
             confirmText: '삭제',
             cancelText: '취소',
+            danger: true,
         });
         if (!confirmed) return;
 
@@ -319,29 +282,53 @@ let isCommentLoading = false;
 let hasNextComments = true;
 let lastCommentId = null;
 let commentTemplate = null;
+let commentsRequestController = null;
 
 async function loadComments() {
-    const response = await fetch("/pages/posts/components/postDetailCommentItem.html");
-    commentTemplate = await response.text();
+    commentTemplate = await loadTemplate("/pages/posts/components/postDetailCommentItem.html");
 }
 
+/**
+ * 댓글 작성자가 아닌 경우 수정/삭제 버튼은 템플릿의 {{#if isAuthor}} 블록에서 제외됨
+ */
 function renderCommentHTML(comment){
-    let html = Object.entries(comment).reduce(
-        (html, [key, value]) => html.replace(new RegExp(`{{${key}}}`, "g"), value ?? ""),
-        commentTemplate
-    );
+    return commentTemplate(comment);
+}
 
-    /**
-     * 댓글 작성자가 아닌 경우, 수정 및 삭제 버튼 제거
-     * 현재 템플릿에서 data-comment-id="{{commentId}}" 속성으로 문자열이 바뀔 수 있으므로 정규표현식으로 처리
-     */
-    if (!comment.isAuthor) {
-        html = html
-            .replace(/<button[^>]*class="btn btn-outline update-comment"[^>]*>[\s\S]*?<\/button>/, "")
-            .replace(/<button[^>]*class="btn btn-danger delete-comment"[^>]*>[\s\S]*?<\/button>/, "");
-    }
+/**
+ * 댓글/답글 응답을 템플릿 데이터로 변환
+ * @param {object} comment API 응답의 댓글
+ * @param {number} depth 0이면 댓글, 1 이상이면 답글
+ */
+function toCommentViewModel(comment, depth = 0) {
+    return {
+        commentId : comment.commentId,
+        content : comment.content,
+        ...toAuthorViewModel(comment.author, { profileImageUrl: comment.profileImageUrl }),
+        date : formatDateTime(comment.createdAt ?? Date.now()),
+        isAuthor : comment.isAuthor,
+        depth,
+        canReply : depth < MAX_COMMENT_DEPTH,
+        replyCount : Number(comment.replyCount ?? 0),
+    };
+}
 
-    return html;
+function findCommentElement(commentId) {
+    return commentListElement.querySelector(`.post-comment[data-comment-id="${CSS.escape(String(commentId))}"]`);
+}
+
+/**
+ * 낙관적 추가와 실시간 이벤트가 같은 댓글을 두 번 세지 않도록 이미 반영한 댓글 ID를 기록
+ * 목록으로 불러온 댓글/답글은 게시물의 댓글 수에 이미 포함되어 있으므로 함께 기록함
+ */
+const countedCommentIds = new Set();
+
+function registerNewComment(commentId) {
+    if (commentId === undefined || commentId === null) return true;
+    const key = String(commentId);
+    if (countedCommentIds.has(key)) return false;
+    countedCommentIds.add(key);
+    return true;
 }
 
 function appendComments(comments){
@@ -349,41 +336,47 @@ function appendComments(comments){
         triggerElement.textContent = "더 이상 불러올 댓글이 없습니다.";
         return;
     }
-    const html = comments.map(renderCommentHTML).join("");
+    comments.forEach((comment) => registerNewComment(comment.commentId));
+    // 실시간 이벤트로 먼저 추가된 댓글은 다시 그리지 않음
+    const html = comments
+        .filter((comment) => !findCommentElement(comment.commentId))
+        .map(renderCommentHTML).join("");
     commentListElement.insertAdjacentHTML("beforeend", html);
     // triggerElement.textContent = "";
 }
 
-function appendOptimisticComment(comment) {
+/**
+ * 실시간 이벤트로 같은 댓글이 먼저 추가된 경우 작성자 버튼이 포함된 내 댓글로 교체
+ */
+function appendOptimisticComment(comment, container = commentListElement) {
     if (!comment) return;
     const html = renderCommentHTML(comment);
-    commentListElement.insertAdjacentHTML("beforeend", html);
+    const existing = findCommentElement(comment.commentId);
+    if (existing) {
+        existing.insertAdjacentHTML("afterend", html);
+        existing.remove();
+        return;
+    }
+    container.insertAdjacentHTML("beforeend", html);
     // triggerElement.textContent = "";
 }
 
+/**
+ * 다시 호출되면 진행 중인 요청을 취소하고 새로 요청함
+ * (페이지 이탈 시에도 pagehide에서 취소)
+ */
 async function fetchComments(postId) {
-    if (isCommentLoading || !hasNextComments) return;
+    if (!hasNextComments) return;
+    commentsRequestController?.abort();
+    const controller = new AbortController();
+    commentsRequestController = controller;
+
     isCommentLoading = true;
     triggerElement.textContent = "불러오는 중...";
     try {
-        const response = await PostAPI.getCommentsOnPost(postId, lastCommentId, 5);
+        const response = await PostAPI.getCommentsOnPost(postId, lastCommentId, 5, { signal: controller.signal });
         const { comments, lastCommentId: newLastCommentId, hasNext: newHasNext } = response.data;
-        const processedComments = comments.map(comment => ({
-            commentId : comment.commentId,
-            content : comment.content,
-            profileImageUrl : comment.author.profileImageUrl ?? '/assets/imgs/profile_icon.svg',
-            author : comment.author.nickname,
-            date : new Date(comment.createdAt).toLocaleString('ko-KR', {
-                year: 'numeric',
-                month: '2-digit',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: false
-            }),
-            isAuthor : comment.isAuthor,
-        }));
+        const processedComments = comments.map(comment => toCommentViewModel(comment));
 
         appendComments(processedComments);
 
@@ -396,9 +389,18 @@ async function fetchComments(postId) {
             // triggerElement.textContent = "";
         }
     } catch (error) {
+        if (isAbortError(error)) {
+            // 새 요청으로 바뀐 경우는 새 요청이 표시를 갱신하므로, 페이지 이탈처럼 그냥 취소된 경우만 되돌림
+            if (commentsRequestController === controller) triggerElement.textContent = "";
+            return;
+        }
+        triggerElement.textContent = "댓글 불러오기에 실패했습니다.";
         console.error("댓글 불러오기 실패:", error);
     } finally {
-        isCommentLoading = false;
+        if (commentsRequestController === controller) {
+            commentsRequestController = null;
+            isCommentLoading = false;
+        }
     }
 }
 
@@ -410,54 +412,21 @@ const observer = new IntersectionObserver(([entry]) => {
 
 observer.observe(triggerElement);
 
-await loadComments();
-fetchComments(postIdFromPath);
-
-/** 댓글 리스트 API 호출 및 데이터 처리 끝 */
-
-function attachTextareaLimiter(textarea, maxLength, options = {}) {
-    if (!textarea) {
-        return {
-            validateLength: () => true,
-            updateCounter: () => {},
-        };
-    }
-
-    const warningThreshold = options.warningThreshold ?? Math.min(100, Math.floor(maxLength * 0.1));
-    const labelPrefix = options.labelPrefix ?? "";
-    const counterClassName = options.counterClassName ?? "form-counter";
-
-    let counter = options.counterElement;
-    if (!counter) {
-        counter = document.createElement("p");
-        counter.className = counterClassName;
-        counter.setAttribute("aria-live", "polite");
-        textarea.insertAdjacentElement("afterend", counter);
-    }
-
-    textarea.setAttribute("maxlength", String(maxLength));
-
-    const updateCounter = () => {
-        const currentLength = textarea.value.length;
-        counter.textContent = `${labelPrefix}${labelPrefix ? " " : ""}${currentLength} / ${maxLength}`;
-        counter.classList.toggle("form-counter--warning", maxLength - currentLength <= warningThreshold);
-    };
+window.addEventListener("pagehide", () => {
+    commentsRequestController?.abort();
+});
 
-    textarea.addEventListener("input", () => {
-        if (textarea.value.length > maxLength) {
-            textarea.value = textarea.value.slice(0, maxLength);
-        }
-        updateCounter();
-    });
+// 뒤로 가기 캐시(bfcache)에서 복원되면 pagehide에서 취소한 요청을 이어서 불러오도록 무한 스크롤 감시를 다시 시작
+window.addEventListener("pageshow", (event) => {
+    if (!event.persisted) return;
+    observer.unobserve(triggerElement);
+    observer.observe(triggerElement);
+});
 
-    updateCounter();
+await loadComments();
+const initialCommentsRequest = fetchComments(postIdFromPath);
 
-    return {
-        validateLength: (value) => (value?.length ?? 0) <= maxLength,
-        updateCounter,
-        counterElement: counter,
-    };
-}
+/** 댓글 리스트 API 호출 및 데이터 처리 끝 */
 
 /** 댓글 작성 API 호출 및 데이터 처리 시작 */
 const commentForm = document.querySelector(".post-comment-form");
@@ -465,10 +434,7 @@ const commentTextarea = commentForm?.querySelector('textarea[name="content"]');
 const commentSubmitButton = commentForm?.querySelector('button[type="submit"]');
 let syncCommentSubmitState = () => {};
 
-const { validateLength: validateCommentLength, updateCounter: updateCommentCounter } =
-    attachTextareaLimiter(commentTextarea, COMMENT_MAX_LENGTH, {
-        warningThreshold: 30,
-    });
+const commentValidation = attachFieldValidation(commentTextarea, COMMENT_RULES);
 
 if (commentTextarea && commentSubmitButton) {
     syncCommentSubmitState = () => {
@@ -476,22 +442,16 @@ if (commentTextarea && commentSubmitButton) {
     };
     commentTextarea.addEventListener("input", syncCommentSubmitState);
     syncCommentSubmitState();
-    updateCommentCounter();
 }
 
 if (commentForm) {
     commentForm.addEventListener("submit", async (event) => {
         event.preventDefault();
-        const content = (commentTextarea?.value ?? "").trim();
-        if (content.length === 0) {
-            alert("댓글 내용을 입력해주세요.");
-            return;
-        }
-
-        if (!validateCommentLength(content)) {
-            alert(`댓글은 최대 ${COMMENT_MAX_LENGTH}자까지 입력할 수 있습니다.`);
+        if (!(await commentValidation.validate())) {
+            commentTextarea?.focus();
             return;
         }
+        const content = (commentTextarea?.value ?? "").trim();
 
         if (commentSubmitButton) {
             commentSubmitButton.disabled = true;
@@ -505,22 +465,10 @@ if (commentForm) {
             let displayComment = null;
 
             if (comment && comment.commentId) {
-                displayComment = {
-                    commentId : comment.commentId,
-                    content : comment.content,
-                    profileImageUrl : comment.profileImageUrl ?? '/assets/imgs/profile_icon.svg',
-                    author : comment.author?.nickname ?? "익명",
-                    date : new Date(comment.createdAt ?? Date.now()).toLocaleString('ko-KR', {
-                        year: 'numeric',
-                        month: '2-digit',
-                        day: '2-digit',
-                        hour: '2-digit',
-                        minute: '2-digit',
-                        second: '2-digit',
-                        hour12: false
-                    }),
+                displayComment = toCommentViewModel({
+                    ...comment,
                     isAuthor : Boolean(comment.isAuthor ?? true),
-                };
+                });
             }
 
             if (displayComment) {
@@ -529,12 +477,15 @@ if (commentForm) {
                 await fetchComments(postIdFromPath);
             }
 
-            commentCount += 1;
-            updateCommentCountDisplay();
+            if (registerNewComment(comment?.commentId)) {
+                commentCount += 1;
+                updateCommentCountDisplay();
+            }
 
             if (commentTextarea) {
                 commentTextarea.value = "";
-                updateCommentCounter();
+                commentValidation.reset();
+                commentValidation.refresh();
                 commentTextarea.focus();
             }
             // triggerElement.textContent = "";
@@ -582,17 +533,25 @@ commentListContainer.addEventListener("click", async (event) => {
     const commentId = event.target.dataset.commentId;
     if (!commentId) return;
 
-    const confirmed = await showConfirmationModal({
+    const confirmed = await confirmDialog({
         title: '댓글을 삭제하시겠습니까?',
         description: '삭제한 내용은 복구할 수 없습니다.',
         confirmText: '삭제',
         cancelText: '취소',
+        danger: true,
     });
     if (!confirmed) return;
 
     try {
         await PostAPI.deleteComment(postIdFromPath, commentId);
 
+        // 답글은 스레드를 유지한 채 해당 답글만 제거
+        const commentItem = event.target.closest(".post-comment");
+        if (Number(commentItem?.dataset.depth ?? 0) > 0) {
+            removeCommentElement(commentItem);
+            return;
+        }
+
         /**
          * 현재 댓글 삭제 API에서 해당 댓글에 대한 Response를 주지 않으므로
          * 댓글 삭제 후 새로고침을 통해 댓글 리스트를 다시 불러오는 방식으로 처리
@@ -607,6 +566,247 @@ commentListContainer.addEventListener("click", async (event) => {
 
 /** 댓글 수정/삭제 API 호출 및 데이터 처리 끝 */
 
+/** 답글 API 호출 및 데이터 처리 시작 */
+
+/** 스레드별 답글 페이지네이션 상태 (commentId → { lastReplyId, hasNext, isLoading, isLoaded }) */
+const replyThreadStates = new Map();
+let activeReplyForm = null;
+
+function getReplyThreadState(commentId) {
+    if (!replyThreadStates.has(commentId)) {
+        replyThreadStates.set(commentId, { lastReplyId: null, hasNext: true, isLoading: false, isLoaded: false });
+    }
+    return replyThreadStates.get(commentId);
+}
+
+function getThreadElements(commentItem) {
+    return {
+        toggleButton: commentItem.querySelector(':scope > .comment-actions .toggle-replies'),
+        countElement: commentItem.querySelector(':scope > .comment-actions .reply-count'),
+        repliesElement: commentItem.querySelector(':scope > .comment-replies'),
+        repliesList: commentItem.querySelector(':scope > .comment-replies > .comment-replies-list'),
+        loadMoreButton: commentItem.querySelector(':scope > .comment-replies > .load-more-replies'),
+    };
+}
+
+function updateReplyCount(commentItem, delta) {
+    const { toggleButton, countElement } = getThreadElements(commentItem);
+    if (!countElement) return;
+    const nextCount = Math.max(Number(countElement.textContent) + delta, 0);
+    countElement.textContent = String(nextCount);
+    if (toggleButton) toggleButton.hidden = nextCount === 0;
+}
+
+function setThreadExpanded(commentItem, expanded) {
+    const { toggleButton, repliesElement } = getThreadElements(commentItem);
+    if (!repliesElement) return;
+    repliesElement.hidden = !expanded;
+    toggleButton?.setAttribute('aria-expanded', String(expanded));
+    commentItem.classList.toggle('is-thread-open', expanded);
+}
+
+async function fetchReplies(commentItem) {
+    const commentId = commentItem.dataset.commentId;
+    const state = getReplyThreadState(commentId);
+    if (state.isLoading || !state.hasNext) return;
+
+    const { repliesList, loadMoreButton } = getThreadElements(commentItem);
+    const depth = Number(commentItem.dataset.depth ?? 0) + 1;
+
+    state.isLoading = true;
+    if (loadMoreButton) {
+        loadMoreButton.disabled = true;
+        loadMoreButton.textContent = '불러오는 중...';
+    }
+
+    try {
+        const response = await PostAPI.getRepliesOnComment(postIdFromPath, commentId, state.lastReplyId, REPLY_PAGE_SIZE);
+        const { replies = [], lastReplyId, hasNext } = response.data;
+        replies.forEach((reply) => registerNewComment(reply.commentId));
+        // 직접 작성해서 이미 추가된 답글은 다시 그리지 않음
+        const html = replies
+            .filter((reply) => !repliesList.querySelector(`:scope > .post-comment[data-comment-id="${reply.commentId}"]`))
+            .map((reply) => renderCommentHTML(toCommentViewModel(reply, depth))).join('');
+        repliesList.insertAdjacentHTML('beforeend', html);
+
+        state.lastReplyId = lastReplyId;
+        state.hasNext = Boolean(hasNext);
+        state.isLoaded = true;
+    } catch (error) {
+        console.error('답글 불러오기 실패:', error);
+        alert('답글을 불러오지 못했습니다. 다시 시도해주세요.');
+    } finally {
+        state.isLoading = false;
+        if (loadMoreButton) {
+            loadMoreButton.disabled = false;
+            loadMoreButton.textContent = '답글 더보기';
+            loadMoreButton.hidden = !state.hasNext;
+        }
+    }
+}
+
+async function toggleReplies(commentItem) {
+    const { repliesElement } = getThreadElements(commentItem);
+    if (!repliesElement) return;
+
+    const expanded = repliesElement.hidden;
+    setThreadExpanded(commentItem, expanded);
+
+    const state = getReplyThreadState(commentItem.dataset.commentId);
+    if (expanded && !state.isLoaded) {
+        await fetchReplies(commentItem);
+    }
+}
+
+function closeReplyForm() {
+    if (!activeReplyForm) return;
+    const { form, replyButton } = activeReplyForm;
+    form.remove();
+    replyButton.setAttribute('aria-expanded', 'false');
+    activeReplyForm = null;
+}
+
+function openReplyForm(commentItem, replyButton) {
+    if (activeReplyForm?.commentItem === commentItem) {
+        activeReplyForm.textarea.focus();
+        return;
+    }
+    closeReplyForm();
+
+    const form = document.createElement('form');
+    form.className = 'comment-reply-form';
+
+    const textarea = document.createElement('textarea');
+    textarea.name = 'content';
+    textarea.id = `reply-content-${commentItem.dataset.commentId}`;
+    textarea.placeholder = `${commentItem.querySelector(':scope > .comment-meta .comment-author')?.textContent ?? ''}님에게 답글 남기기`;
+    textarea.setAttribute('aria-label', '답글 내용');
+    form.appendChild(textarea);
+
+    const actions = document.createElement('div');
+    actions.className = 'comment-reply-actions';
+    actions.innerHTML = `
+        <button type="button" class="btn btn-ghost btn-sm cancel-reply">취소</button>
+        <button type="submit" class="btn btn-primary btn-sm" disabled>답글 등록</button>
+    `;
+    form.appendChild(actions);
+
+    const submitButton = actions.querySelector('button[type="submit"]');
+    const validation = attachFieldValidation(textarea, REPLY_RULES);
+    textarea.addEventListener('input', () => {
+        submitButton.disabled = textarea.value.trim().length === 0;
+    });
+    textarea.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeReplyForm();
+            replyButton.focus();
+        }
+    });
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        submitReply(commentItem, textarea, submitButton, validation);
+    });
+
+    commentItem.querySelector(':scope > .comment-actions').insertAdjacentElement('afterend', form);
+    replyButton.setAttribute('aria-expanded', 'true');
+    activeReplyForm = { commentItem, form, textarea, replyButton };
+    textarea.focus();
+}
+
+async function submitReply(commentItem, textarea, submitButton, validation) {
+    if (!(await validation.validate())) {
+        textarea.focus();
+        return;
+    }
+    const content = textarea.value.trim();
+
+    const commentId = commentItem.dataset.commentId;
+    const depth = Number(commentItem.dataset.depth ?? 0) + 1;
+    submitButton.disabled = true;
+
+    try {
+        const response = await PostAPI.createReplyOnComment(postIdFromPath, commentId, content);
+        const reply = response?.data;
+        const state = getReplyThreadState(commentId);
+
+        // 아직 답글을 불러오지 않은 스레드는 펼치면서 서버 목록을 불러오므로 직접 추가하지 않음
+        if (state.isLoaded && reply?.commentId) {
+            const { repliesList } = getThreadElements(commentItem);
+            appendOptimisticComment(toCommentViewModel({
+                ...reply,
+                isAuthor : Boolean(reply.isAuthor ?? true),
+            }, depth), repliesList);
+        }
+
+        if (registerNewComment(reply?.commentId)) {
+            updateReplyCount(commentItem, 1);
+            commentCount += 1;
+            updateCommentCountDisplay();
+        }
+        closeReplyForm();
+
+        if (state.isLoaded) {
+            setThreadExpanded(commentItem, true);
+        } else {
+            await toggleReplies(commentItem);
+        }
+    } catch (error) {
+        console.error('답글 작성 실패:', error);
+        alert('답글 작성에 실패했습니다. 다시 시도해주세요.');
+        submitButton.disabled = false;
+        textarea.focus();
+    }
+}
+
+/**
+ * 댓글/답글 요소를 제거하고 개수를 갱신
+ * 실시간 이벤트로 이미 제거된 요소라면 다시 세지 않음
+ */
+function removeCommentElement(commentItem) {
+    if (!commentItem.isConnected) return;
+    if (activeReplyForm && commentItem.contains(activeReplyForm.form)) closeReplyForm();
+    if (editingCommentState && commentItem.contains(editingCommentState.commentItem)) {
+        editingCommentState = null;
+    }
+
+    const parentItem = commentItem.parentElement?.closest('.post-comment');
+    const removedCount = 1 + commentItem.querySelectorAll('.post-comment').length;
+    commentItem.remove();
+    if (parentItem) updateReplyCount(parentItem, -1);
+    commentCount = Math.max(commentCount - removedCount, 0);
+    updateCommentCountDisplay();
+}
+
+commentListContainer.addEventListener('click', async (event) => {
+    const commentItem = event.target.closest('.post-comment');
+    if (!commentItem) return;
+
+    const replyButton = event.target.closest('.reply-comment');
+    if (replyButton) {
+        openReplyForm(commentItem, replyButton);
+        return;
+    }
+
+    if (event.target.closest('.cancel-reply')) {
+        const { replyButton: activeButton } = activeReplyForm ?? {};
+        closeReplyForm();
+        activeButton?.focus();
+        return;
+    }
+
+    if (event.target.closest('.toggle-replies')) {
+        await toggleReplies(commentItem);
+        return;
+    }
+
+    if (event.target.closest('.load-more-replies')) {
+        await fetchReplies(commentItem);
+    }
+});
+
+/** 답글 API 호출 및 데이터 처리 끝 */
+
 function enterCommentEditMode(commentId, updateButton) {
     const commentItem = updateButton.closest('.post-comment');
     if (!commentItem) return;
@@ -619,17 +819,18 @@ function enterCommentEditMode(commentId, updateButton) {
         cancelCommentEdit();
     }
 
-    const contentElement = commentItem.querySelector('.comment-content');
+    // 답글이 펼쳐져 있을 수 있으므로 자기 자신의 요소만 선택
+    const contentElement = commentItem.querySelector(':scope > .comment-content');
     if (!contentElement) return;
 
     const originalContentRaw = contentElement.textContent ?? '';
     const originalContentTrimmed = originalContentRaw.trim();
     const textarea = document.createElement('textarea');
     textarea.className = 'comment-edit-textarea';
+    textarea.id = `comment-edit-${commentId}`;
+    textarea.setAttribute('aria-label', '댓글 수정');
     textarea.value = originalContentRaw;
-    const limiter = attachTextareaLimiter(textarea, COMMENT_MAX_LENGTH, {
-        warningThreshold: 30,
-    });
+    const validation = attachFieldValidation(textarea, COMMENT_RULES);
 
     textarea.addEventListener('keydown', (event) => {
         if (event.key === 'Escape') {
@@ -641,7 +842,7 @@ function enterCommentEditMode(commentId, updateButton) {
         }
     });
 
-    const commentRight = commentItem.querySelector('.comment-right');
+    const commentRight = commentItem.querySelector(':scope > .comment-meta .comment-right');
     const deleteButton = commentRight?.querySelector('.delete-comment') ?? null;
 
     const cancelButton = document.createElement('button');
@@ -673,8 +874,7 @@ function enterCommentEditMode(commentId, updateButton) {
         originalContentRaw,
         originalContentTrimmed,
         commentItem,
-        counterElement: limiter.counterElement,
-        validateLength: limiter.validateLength,
+        validation,
     };
 
     requestAnimationFrame(() => {
@@ -686,16 +886,13 @@ function enterCommentEditMode(commentId, updateButton) {
 function cancelCommentEdit() {
     if (!editingCommentState) return;
 
-    const { commentItem, textarea, updateButton, cancelButton, deleteButton, originalContentRaw, counterElement } = editingCommentState;
+    const { commentItem, textarea, updateButton, cancelButton, deleteButton, originalContentRaw, validation } = editingCommentState;
     const restoredContent = document.createElement('div');
     restoredContent.className = 'comment-content';
     restoredContent.textContent = originalContentRaw;
+    validation.destroy();
     textarea.replaceWith(restoredContent);
 
-    if (counterElement) {
-        counterElement.remove();
-    }
-
     updateButton.classList.remove('confirm-update');
     updateButton.textContent = '수정';
     updateButton.disabled = false;
@@ -716,20 +913,13 @@ function cancelCommentEdit() {
 async function submitCommentEdit(commentId, updateButton) {
     if (!editingCommentState || editingCommentState.commentId !== commentId) return;
 
-    const { textarea, cancelButton, deleteButton, originalContentTrimmed, commentItem, counterElement, validateLength } = editingCommentState;
-    const newContent = textarea.value.trim();
-
-    if (newContent.length === 0) {
-        alert('댓글 내용을 입력해주세요.');
-        textarea.focus();
-        return;
-    }
+    const { textarea, cancelButton, deleteButton, originalContentTrimmed, commentItem, validation } = editingCommentState;
 
-    if (!(validateLength ? validateLength(newContent) : validateCommentLength(newContent))) {
-        alert(`댓글은 최대 ${COMMENT_MAX_LENGTH}자까지 입력할 수 있습니다.`);
+    if (!(await validation.validate())) {
         textarea.focus();
         return;
     }
+    const newContent = textarea.value.trim();
 
     if (newContent === originalContentTrimmed) {
         cancelCommentEdit();
@@ -746,12 +936,9 @@ async function submitCommentEdit(commentId, updateButton) {
         const updatedContent = document.createElement('div');
         updatedContent.className = 'comment-content';
         updatedContent.textContent = newContent;
+        validation.destroy();
         textarea.replaceWith(updatedContent);
 
-        if (counterElement) {
-            counterElement.remove();
-        }
-
         updateButton.classList.remove('confirm-update');
         updateButton.textContent = '수정';
         updateButton.disabled = false;
@@ -776,3 +963,214 @@ async function submitCommentEdit(commentId, updateButton) {
         textarea.focus();
     }
 }
+
+/** 실시간 이벤트 구독 시작 */
+
+/**
+ * 다른 사용자가 작성한 댓글/답글 반영
+ * 댓글은 마지막 페이지까지 불러온 경우에만 목록 끝에 추가하고(이후 페이지에서 중복되지 않도록),
+ * 답글은 부모 스레드를 이미 불러온 경우에만 추가함. 개수는 항상 갱신
+ *
+ * 실시간 이벤트는 모든 사용자에게 같은 내용으로 전달되므로 isAuthor를 믿지 않고 작성자가 아닌 것으로 표시함
+ * (직접 작성한 댓글은 작성 요청의 응답으로 이미 추가되어 여기서는 건너뜀)
+ */
+function handleLiveCommentCreated({ comment: payload } = {}) {
+    if (!payload?.commentId) return;
+    const comment = { ...payload, isAuthor: false };
+    // 재연결 후 다시 전달된 이벤트처럼 이미 화면에 있는 댓글은 개수에도 이미 반영되어 있음
+    if (findCommentElement(comment.commentId)) {
+        registerNewComment(comment.commentId);
+        return;
+    }
+    const isNew = registerNewComment(comment.commentId);
+
+    const parentCommentId = comment.parentCommentId;
+    if (parentCommentId === undefined || parentCommentId === null) {
+        if (!hasNextComments) appendComments([toCommentViewModel(comment)]);
+    } else {
+        const parentItem = findCommentElement(parentCommentId);
+        if (parentItem) {
+            const depth = Number(parentItem.dataset.depth ?? 0) + 1;
+            const state = getReplyThreadState(parentItem.dataset.commentId);
+            if (state.isLoaded) {
+                const { repliesList } = getThreadElements(parentItem);
+                repliesList?.insertAdjacentHTML('beforeend', renderCommentHTML(toCommentViewModel(comment, depth)));
+            }
+            if (isNew) updateReplyCount(parentItem, 1);
+        }
+    }
+
+    if (isNew) {
+        commentCount += 1;
+        updateCommentCountDisplay();
+    }
+}
+
+/** 수정 중인 댓글은 사용자의 입력을 덮어쓰지 않도록 건너뜀 */
+function handleLiveCommentUpdated({ commentId, content } = {}) {
+    if (commentId === undefined || content === undefined) return;
+    if (editingCommentState?.commentId === String(commentId)) return;
+
+    const contentElement = findCommentElement(commentId)?.querySelector(':scope > .comment-content');
+    if (contentElement) contentElement.textContent = content;
+}
+
+function handleLiveCommentDeleted({ commentId } = {}) {
+    if (commentId === undefined) return;
+    const commentItem = findCommentElement(commentId);
+    if (commentItem) removeCommentElement(commentItem);
+}
+
+let hasLiveConnectionDropped = false;
+
+/**
+ * 재연결되면 끊긴 동안 놓친 이벤트가 있을 수 있으므로 게시물 통계를 다시 불러옴
+ */
+async function resyncPostStats() {
+    try {
+        const response = await PostAPI.getPostById(postIdFromPath, { cache: "no-cache" });
+        const post = response?.data;
+        if (!post) return;
+        applyPostStats({ likeCount: post.likeCount, commentCount: post.commentCount, viewCount: post.viewCount });
+    } catch (error) {
+        console.warn("게시물 통계를 다시 불러오지 못했습니다:", error);
+    }
+}
+
+let unsubscribePostEvents = null;
+
+function startPostEvents() {
+    unsubscribePostEvents?.();
+    unsubscribePostEvents = subscribePostEvents(postIdFromPath, {
+        'comment.created': handleLiveCommentCreated,
+        'comment.updated': handleLiveCommentUpdated,
+        'comment.deleted': handleLiveCommentDeleted,
+        'post.stats': applyPostStats,
+    }, {
+        onStatusChange: (status) => {
+            if (status === 'reconnecting') {
+                hasLiveConnectionDropped = true;
+            } else if (status === 'open' && hasLiveConnectionDropped) {
+                hasLiveConnectionDropped = false;
+                resyncPostStats();
+            }
+        },
+    });
+}
+
+if (postIdFromPath) {
+    startPostEvents();
+
+    window.addEventListener("pagehide", () => {
+        unsubscribePostEvents?.();
+        unsubscribePostEvents = null;
+    });
+
+    // 뒤로 가기 캐시(bfcache)에서 복원되면 다시 구독하고 그동안의 변경을 반영
+    window.addEventListener("pageshow", (event) => {
+        if (!event.persisted) return;
+        startPostEvents();
+        resyncPostStats();
+    });
+}
+
+/** 실시간 이벤트 구독 끝 */
+
+/** 링크로 지정된 댓글 이동 시작 */
+
+/**
+ * /posts/:id#comment-<commentId> 로 들어오면 해당 댓글이 나올 때까지 댓글을 더 불러온 뒤 스크롤
+ * 답글은 ?thread=<최상위 댓글 ID>,<부모 댓글 ID> 의 조상 댓글 스레드를 차례로 펼쳐서 찾음 (commentLink.js 참고)
+ * 최상위 댓글 없이 답글인 부모 댓글만 전달된 경우는 불러온 댓글의 스레드를 차례로 펼쳐서 부모 댓글을 찾음
+ */
+const LINKED_COMMENT_HASH_PATTERN = /^#comment-(\d+)$/;
+const MAX_LINKED_COMMENT_PAGES = 20;
+const LINKED_COMMENT_HIGHLIGHT_MS = 3000;
+
+async function findCommentInThread(parentItem, commentId) {
+    const state = getReplyThreadState(parentItem.dataset.commentId);
+    if (!state.isLoaded) {
+        await toggleReplies(parentItem);
+    } else {
+        setThreadExpanded(parentItem, true);
+    }
+
+    let pages = 0;
+    let commentItem = findCommentElement(commentId);
+    while (!commentItem && state.hasNext && pages < MAX_LINKED_COMMENT_PAGES) {
+        await fetchReplies(parentItem);
+        commentItem = findCommentElement(commentId);
+        pages += 1;
+    }
+    return commentItem;
+}
+
+/** 최상위 댓글이 나올 때까지 댓글 목록을 더 불러옴 */
+async function findTopLevelComment(commentId) {
+    let pages = 0;
+    let commentItem = findCommentElement(commentId);
+    while (!commentItem && hasNextComments && pages < MAX_LINKED_COMMENT_PAGES) {
+        await fetchComments(postIdFromPath);
+        commentItem = findCommentElement(commentId);
+        pages += 1;
+    }
+    return commentItem;
+}
+
+/**
+ * 불러온 최상위 댓글의 스레드를 차례로 펼쳐서 답글을 찾음
+ * 찾지 못한 스레드는 다시 접음
+ */
+async function findCommentInLoadedThreads(commentId) {
+    const topLevelItems = Array.from(commentListElement.querySelectorAll(':scope > .post-comment'));
+    for (const parentItem of topLevelItems) {
+        const { countElement } = getThreadElements(parentItem);
+        if (Number(countElement?.textContent ?? 0) === 0) continue;
+
+        const wasExpanded = parentItem.classList.contains('is-thread-open');
+        const commentItem = await findCommentInThread(parentItem, commentId);
+        if (commentItem) return commentItem;
+        if (!wasExpanded) setThreadExpanded(parentItem, false);
+    }
+    return null;
+}
+
+async function revealLinkedComment() {
+    const match = window.location.hash.match(LINKED_COMMENT_HASH_PATTERN);
+    if (!match) return;
+
+    const commentId = match[1];
+    // 최상위 댓글부터 순서대로 나열된 조상 댓글 ID
+    const threadIds = (new URLSearchParams(window.location.search).get('thread') ?? '')
+        .split(',')
+        .filter((id) => /^\d+$/.test(id) && id !== commentId);
+    const [rootId, ...ancestorIds] = threadIds;
+
+    let commentItem = await findTopLevelComment(rootId ?? commentId);
+    if (!commentItem && rootId !== undefined && ancestorIds.length === 0) {
+        // 부모 댓글이 답글이면 최상위 댓글 목록에 없으므로 스레드 안에서 찾음
+        commentItem = await findCommentInLoadedThreads(rootId);
+    }
+    // 찾은 조상 댓글의 스레드를 차례로 펼쳐서 링크된 댓글까지 내려감
+    const descendantIds = rootId === undefined ? [] : [...ancestorIds, commentId];
+    for (const id of descendantIds) {
+        if (!commentItem) break;
+        commentItem = await findCommentInThread(commentItem, id);
+    }
+
+    if (!commentItem) {
+        console.warn(`링크된 댓글(${commentId})을 찾을 수 없습니다.`);
+        return;
+    }
+
+    commentItem.setAttribute('tabindex', '-1');
+    commentItem.scrollIntoView({ block: 'center' });
+    commentItem.focus({ preventScroll: true });
+    commentItem.classList.add('is-highlighted');
+    setTimeout(() => commentItem.classList.remove('is-highlighted'), LINKED_COMMENT_HIGHLIGHT_MS);
+}
+
+initialCommentsRequest.then(revealLinkedComment);
+window.addEventListener("hashchange", revealLinkedComment);
+
+/** 링크로 지정된 댓글 이동 끝 */
@@ -1,76 +1,96 @@
 import { PostAPI } from "/js/api/posts.js";
 import { ImageAPI } from "/js/api/images.js";
-
-const POST_TITLE_MAX_LENGTH = 26;
-const POST_CONTENT_MAX_LENGTH = 5000;
+import { applyApiErrorToForm, clearFieldError, clearFormErrors, setFieldError } from "/js/ui/formErrors.js";
+import { attachMarkdownEditor } from "/js/ui/markdownEditor.js";
+import { createDraftAutosave } from "/js/ui/draftAutosave.js";
+import { createImageManager } from "/js/ui/imageManager.js";
+import { createFormValidator } from "/js/ui/formValidation.js";
+import { POST_CONTENT_RULES, POST_TITLE_RULES } from "/js/utils/postRules.js";
+
+const POST_MAX_IMAGES = 5;
 const pathParts = window.location.pathname.split('/');
 const postId = pathParts[pathParts.length - 1];
 
 /** 게시물 수정 API 호출 및 데이터 처리 시작 */
 
 const postEditForm = document.getElementById("post-edit-form");
-let titleLimiter;
-let validateContentLength = () => true;
-let updateContentCounter = () => {};
+let validator = null;
+let draftAutosave = null;
+let imageManager = null;
+const MISSING_IMAGE_ID_MESSAGE = "기존 이미지 정보를 불러오지 못해 이미지를 수정할 수 없습니다. 페이지를 새로고침한 뒤 다시 시도해주세요.";
+
+/** ID를 모르는 기존 이미지가 남아 있는지 (getPostImages 참고) */
+function hasMissingImageId() {
+    return (imageManager?.getImageIds() ?? []).some((imageId) => imageId === null || imageId === undefined);
+}
 
 if (postEditForm) {
-    const titleInput = postEditForm.querySelector("#title");
     const contentTextarea = postEditForm.querySelector("#content");
-    titleLimiter = attachInputLimiter(titleInput, POST_TITLE_MAX_LENGTH, {
-        counterSelector: '[data-field="title-counter"]',
-        warningThreshold: 5,
+    validator = createFormValidator(postEditForm, {
+        title: POST_TITLE_RULES,
+        content: POST_CONTENT_RULES,
     });
-    const contentLimiter = attachTextareaLimiter(contentTextarea, POST_CONTENT_MAX_LENGTH, {
-        counterSelector: '[data-field="content-counter"]',
+    attachMarkdownEditor(contentTextarea);
+
+    const imageInput = postEditForm.querySelector("#postImages");
+    if (imageInput) {
+        imageManager = createImageManager(imageInput, {
+            maxImages: POST_MAX_IMAGES,
+            upload: async (file, options) => {
+                const response = await ImageAPI.uploadPostImage(file, options);
+                return response.data.imageId;
+            },
+            onChange: () => {
+                if (!hasMissingImageId()) clearFieldError(imageInput);
+                draftAutosave?.save();
+            },
+        });
+    }
+
+    draftAutosave = createDraftAutosave(postEditForm, {
+        draftKey: `post:edit:${postId}`,
+        // 기존 이미지를 삭제하거나 순서를 바꾼 것도 복원되도록 기존 이미지와 새 파일을 화면 순서대로 저장
+        getImages: () => imageManager?.getDraftImages() ?? [],
+        restoreImages: (images) => imageManager?.setImages(images),
     });
-    validateContentLength = contentLimiter.validateLength;
-    updateContentCounter = contentLimiter.updateCounter;
 
     postEditForm.addEventListener("submit", async (event) => {
         event.preventDefault();
+        clearFormErrors(postEditForm);
+        if (!(await validator.validate())) return;
+
         const formData = new FormData(postEditForm);
         const title = formData.get("title");
         const content = formData.get("content") ?? "";
-        const imageFiles = formData.getAll("postImages");
 
-        if (!titleLimiter.validateLength(title ?? "")) {
-            alert(`제목은 최대 ${POST_TITLE_MAX_LENGTH}자까지 입력할 수 있습니다.`);
+        if (imageManager?.hasPendingUploads()) {
+            alert("이미지 업로드가 끝난 뒤 다시 시도해주세요.");
             return;
         }
 
-        if (!validateContentLength(content)) {
-            alert(`게시글 내용은 최대 ${POST_CONTENT_MAX_LENGTH}자까지 입력할 수 있습니다.`);
+        if (imageManager?.hasFailedUploads()) {
+            alert("업로드에 실패한 이미지가 있습니다. 다시 시도하거나 삭제해주세요.");
             return;
         }
 
-        if (content.trim().length === 0) {
-            alert("게시글 내용을 입력해주세요.");
+        // 기존 이미지와 새로 추가한 이미지를 화면의 순서대로 합친 목록
+        // ID를 모르는 기존 이미지가 있으면 목록을 만들 수 없으므로 이미지를 잃지 않도록 제출하지 않음
+        if (hasMissingImageId()) {
+            alert(MISSING_IMAGE_ID_MESSAGE);
             return;
         }
-
-        if (imageFiles.length > 5) {
-            alert("이미지는 최대 5개까지 업로드할 수 있습니다.");
-            return;
-        }
-
-        let imageIds = [];
-        for (const imageFile of imageFiles) {
-            if (imageFile && imageFile.size > 0) {
-                const imageUploadResponse = await ImageAPI.uploadPostImage(imageFile);
-                const imageId = imageUploadResponse.data.imageId;
-                if (imageId) {
-                    imageIds.push(imageId);
-                }
-            }
-        }
+        const imageIds = imageManager?.getImageIds() ?? [];
 
         try {
             await PostAPI.updatePost(postId, title, content, imageIds);
+            await draftAutosave.clear();
             alert("게시물이 성공적으로 수정되었습니다. 게시물 목록 페이지로 이동합니다.");
             window.location.href = "/posts";
         } catch (error) {
             console.error("게시물 수정 중 오류 발생:", error);
-            alert("게시물 수정에 실패했습니다. 다시 시도해주세요.");
+            if (!applyApiErrorToForm(postEditForm, error, { fieldMap: { imageIds: "postImages" } })) {
+                alert("게시물 수정에 실패했습니다. 다시 시도해주세요.");
+            }
         }
     });
 }
@@ -83,19 +103,23 @@ async function populatePostData() {
     if (!postEditForm) return;
 
     try {
-        const response = await PostAPI.getPostById(postId);
+        // 수정 폼에는 항상 최신 내용을 채우도록 캐시를 사용하지 않음
+        const response = await PostAPI.getPostById(postId, { cache: "no-cache" });
         const post = response.data;
         const titleInput = document.getElementById("title");
         const contentTextarea = document.getElementById("content");
         if (titleInput) {
-            titleInput.value = (post.title ?? "").slice(0, POST_TITLE_MAX_LENGTH);
-
-            if (titleLimiter.updateCounter) titleLimiter.updateCounter();
+            titleInput.value = post.title ?? "";
         }
         if (contentTextarea) {
-            const nextValue = (post.content ?? "").slice(0, POST_CONTENT_MAX_LENGTH);
-            contentTextarea.value = nextValue;
-            updateContentCounter();
+            contentTextarea.value = post.content ?? "";
+        }
+        // 최대 글자 수를 넘는 부분을 잘라내고 카운터 갱신
+        validator.refresh();
+        imageManager?.setImages(getPostImages(post));
+        if (hasMissingImageId()) {
+            // 제출할 때가 아니라 폼을 열었을 때 바로 알 수 있도록 표시
+            setFieldError(document.getElementById("postImages"), MISSING_IMAGE_ID_MESSAGE, { clearOnEdit: false });
         }
     } catch (error) {
         console.error("게시물 데이터 불러오기 실패:", error);
@@ -105,99 +129,21 @@ async function populatePostData() {
          * 데이터를 불러온 후에 폼을 보이도록 처리함
          */
         postEditForm.style.display = "block";
+        // 서버의 게시물 내용을 채운 뒤 기준으로 삼아야 변경 여부를 올바르게 판단할 수 있음
+        draftAutosave.start();
     }
 }
 
-populatePostData();
-
-/** 게시물 데이터 불러오기 끝 */
-
-function attachTextareaLimiter(textarea, maxLength, options = {}) {
-    if (!textarea) {
-        return {
-            validateLength: () => true,
-            updateCounter: () => {},
-        };
-    }
-
-    textarea.setAttribute("maxlength", String(maxLength));
-
-    const warningThreshold = options.warningThreshold ?? Math.min(100, Math.floor(maxLength * 0.1));
-    let counter = options.counterElement ?? (options.counterSelector
-        ? textarea.parentElement?.querySelector(options.counterSelector)
-        : null);
-
-    if (!counter) {
-        counter = document.createElement("p");
-        counter.className = "form-counter";
-        counter.setAttribute("aria-live", "polite");
-        textarea.insertAdjacentElement("afterend", counter);
-    }
-
-    const updateCounter = () => {
-        const currentLength = textarea.value.length;
-        counter.textContent = `${currentLength} / ${maxLength}`;
-        counter.classList.toggle("form-counter--warning", maxLength - currentLength <= warningThreshold);
-    };
-
-    textarea.addEventListener("input", () => {
-        if (textarea.value.length > maxLength) {
-            textarea.value = textarea.value.slice(0, maxLength);
-        }
-        updateCounter();
-    });
-
-    updateCounter();
-
-    return {
-        validateLength: (value) => (value?.length ?? 0) <= maxLength,
-        updateCounter,
-        counterElement: counter,
-    };
+/**
+ * 게시물 응답의 이미지를 { imageId, imageUrl } 목록으로 변환
+ * 수정할 때 이미지 ID 목록을 보내야 하므로 상세 응답에 imageUrls와 같은 순서의 imageIds가 있어야 함
+ * 없으면 imageId가 null이 되고, 그 이미지가 남아 있는 동안은 제출하지 않음
+ */
+function getPostImages(post) {
+    const imageIds = post.imageIds ?? [];
+    return (post.imageUrls ?? []).map((imageUrl, index) => ({ imageId: imageIds[index] ?? null, imageUrl }));
 }
 
-function attachInputLimiter(input, maxLength, options = {}) {
-    if (!input) {
-        return {
-            validateLength: () => true,
-            updateCounter: () => {},
-        };
-    }
-
-    input.setAttribute("maxlength", String(maxLength));
-
-    let counter = options.counterElement ?? (options.counterSelector
-        ? input.parentElement?.querySelector(options.counterSelector)
-        : null);
-    if (!counter) {
-        counter = input.parentElement?.querySelector(".form-counter");
-    }
-    if (!counter) {
-        counter = document.createElement("p");
-        counter.className = "form-counter";
-        counter.setAttribute("aria-live", "polite");
-        input.insertAdjacentElement("afterend", counter);
-    }
-
-    const warningThreshold = options.warningThreshold ?? Math.min(10, Math.floor(maxLength * 0.2));
-
-    const updateCounter = () => {
-        const currentLength = input.value.length;
-        counter.textContent = `${currentLength} / ${maxLength}`;
-        counter.classList.toggle("form-counter--warning", maxLength - currentLength <= warningThreshold);
-    };
-
-    input.addEventListener("input", () => {
-        if (input.value.length > maxLength) {
-            input.value = input.value.slice(0, maxLength);
-        }
-        updateCounter();
-    });
-
-    updateCounter();
+populatePostData();
 
-    return {
-        validateLength: (value) => (value?.length ?? 0) <= maxLength,
-        updateCounter,
-    };
-}
+/** 게시물 데이터 불러오기 끝 */
@@ -1,4 +1,13 @@
-import { PostAPI } from "/js/api/posts.js";
+import {
+    PostAPI,
+    DEFAULT_POST_SORT,
+    isValidPostSort,
+    getNextPostCursor,
+} from "/js/api/posts.js";
+import { isAbortError } from "/js/api/base.js";
+import { loadTemplate } from "/js/utils/template.js";
+import { toPostItemViewModel } from "/js/utils/postView.js";
+import { setFieldError, clearFormErrors } from "/js/ui/formErrors.js";
 
 const postCreateButton = document.querySelector(".post-create-button");
 postCreateButton.addEventListener("click", () => {
@@ -8,72 +17,272 @@ postCreateButton.addEventListener("click", () => {
 const postListElement = document.querySelector(".post-list");
 const triggerElement = document.querySelector(".scroll-trigger");
 
+const FEED_SNAPSHOT_KEY = "postList:snapshot";
+const FILTER_KEYS = ["keyword", "author", "startDate", "endDate"];
+
+const searchForm = document.querySelector(".post-search-form");
+const sortSelect = document.querySelector(".post-sort-select");
+
 let isLoading = false;
 let hasNext = true;
-let lastPostId = null;
+/** 다음 페이지 요청에 사용할 커서 (정렬 기준마다 형태가 다름, posts.js의 getNextPostCursor 참고) */
+let nextCursor = null;
 let postTemplate = null;
+let postsRequestController = null;
+/** 지금까지 불러온 페이지의 커서 목록 (뒤로 가기 시 같은 페이지들을 복원하기 위해 사용) */
+let loadedCursors = [];
+/** 검색 조건과 정렬 기준은 URL 쿼리에 저장하여 공유/북마크할 수 있도록 함 */
+let filters = readFiltersFromURL();
+let sort = readSortFromURL();
+
+/** 검색 조건 및 정렬 시작 */
+
+function readSortFromURL() {
+    const value = new URLSearchParams(window.location.search).get("sort");
+    return isValidPostSort(value) ? value : DEFAULT_POST_SORT;
+}
+
+function readFiltersFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    return FILTER_KEYS.reduce((acc, key) => {
+        const value = params.get(key)?.trim();
+        if (value) acc[key] = value;
+        return acc;
+    }, {});
+}
+
+function buildListURL(nextFilters, nextSort) {
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach((key) => {
+        if (nextFilters[key]) params.set(key, nextFilters[key]);
+    });
+    if (nextSort !== DEFAULT_POST_SORT) params.set("sort", nextSort);
+    const query = params.toString();
+    return query ? `${window.location.pathname}?${query}` : window.location.pathname;
+}
+
+function hasActiveFilters() {
+    return Object.keys(filters).length > 0;
+}
+
+function fillSearchForm() {
+    if (sortSelect) sortSelect.value = sort;
+    if (!searchForm) return;
+    FILTER_KEYS.forEach((key) => {
+        const field = searchForm.elements.namedItem(key);
+        if (field) field.value = filters[key] ?? "";
+    });
+}
+
+function readSearchForm() {
+    const formData = new FormData(searchForm);
+    return FILTER_KEYS.reduce((acc, key) => {
+        const value = String(formData.get(key) ?? "").trim();
+        if (value) acc[key] = value;
+        return acc;
+    }, {});
+}
+
+function applyFilters(nextFilters, { nextSort = sort, push = true } = {}) {
+    filters = nextFilters;
+    sort = nextSort;
+    if (push) {
+        history.pushState(null, "", buildListURL(filters, sort));
+    }
+    resetFeed();
+}
+
+if (searchForm) {
+    searchForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        clearFormErrors(searchForm);
+        const nextFilters = readSearchForm();
+
+        if (nextFilters.startDate && nextFilters.endDate && nextFilters.startDate > nextFilters.endDate) {
+            setFieldError(searchForm.elements.namedItem("endDate"), "종료일은 시작일 이후여야 합니다.");
+            searchForm.elements.namedItem("endDate").focus();
+            return;
+        }
+
+        applyFilters(nextFilters);
+    });
+
+    searchForm.addEventListener("reset", () => {
+        clearFormErrors(searchForm);
+        if (hasActiveFilters()) {
+            applyFilters({});
+        }
+    });
+}
+
+if (sortSelect) {
+    sortSelect.addEventListener("change", () => {
+        const nextSort = isValidPostSort(sortSelect.value) ? sortSelect.value : DEFAULT_POST_SORT;
+        applyFilters(filters, { nextSort });
+    });
+}
+
+window.addEventListener("popstate", () => {
+    filters = readFiltersFromURL();
+    sort = readSortFromURL();
+    fillSearchForm();
+    applyFilters(filters, { push: false });
+});
+
+/** 검색 조건 및 정렬 끝 */
 
 async function loadPosts() {
-    const response = await fetch("/pages/posts/components/postItem.html");
-    postTemplate = await response.text();
+    postTemplate = await loadTemplate("/pages/posts/components/postItem.html");
 }
 
 function renderPostHTML(post){
-    return Object.entries(post).reduce(
-        (html, [key, value]) => html.replace(new RegExp(`{{${key}}}`, "g"), value ?? ""),
-        postTemplate
-    );
+    return postTemplate(post);
 }
 
-function appendPosts(posts){
+/**
+ * 페이지 단위로 게시물을 렌더링
+ * 같은 순번의 페이지가 이미 있으면(캐시 재검증 결과) 내용을 교체함
+ */
+function renderPage(pageIndex, posts){
+    let pageElement = postListElement.querySelector(`.post-page[data-page="${pageIndex}"]`);
+    if (!pageElement) {
+        pageElement = document.createElement("div");
+        pageElement.className = "post-page";
+        pageElement.dataset.page = String(pageIndex);
+        postListElement.appendChild(pageElement);
+    }
+
     if (!Array.isArray(posts) || posts.length === 0) {
+        pageElement.innerHTML = pageIndex === 0 && hasActiveFilters()
+            ? '<p class="post-list-empty">검색 결과가 없습니다.</p>'
+            : "";
         triggerElement.textContent = "더 이상 불러올 게시물이 없습니다.";
         return;
     }
-    const html = posts.map(renderPostHTML).join("");
-    postListElement.insertAdjacentHTML("beforeend", html);
+    pageElement.innerHTML = posts.map((post) => toPostItemViewModel(post)).map(renderPostHTML).join("");
 }
 
+function updatePaginationState(data) {
+    nextCursor = getNextPostCursor(sort, data);
+    hasNext = Boolean(data.hasNext) && nextCursor !== null;
+
+    if (!hasNext) {
+        triggerElement.textContent = "모든 게시물을 불러왔습니다.";
+    } else {
+        triggerElement.textContent = "";
+    }
+}
+
+/** 캐시된 페이지를 먼저 보여준 뒤 백그라운드 재검증 결과가 다르면 해당 페이지만 다시 그림 */
+function handlePageRevalidate(pageIndex, response) {
+    const data = response?.data;
+    if (!data || pageIndex >= loadedCursors.length) return;
+    renderPage(pageIndex, data.posts);
+    if (pageIndex === loadedCursors.length - 1) {
+        updatePaginationState(data);
+    }
+}
+
+/**
+ * 다시 호출되면 진행 중인 요청을 취소하고 새로 요청함
+ * (페이지 이탈 시에도 pagehide에서 취소)
+ */
 async function fetchPosts() {
-    if (isLoading || !hasNext) return;
+    if (!hasNext) return;
+    postsRequestController?.abort();
+    const controller = new AbortController();
+    postsRequestController = controller;
+
+    const cursor = nextCursor;
+    const pageIndex = loadedCursors.length;
     isLoading = true;
     triggerElement.textContent = "불러오는 중...";
     try {
-        const response = await PostAPI.getPosts(lastPostId);
-        const { posts, lastPostId: newLastPostId, hasNext: newHasNext } = response.data;
-        const processedPosts = posts.map(post => ({
-            postId : post.postId,
-            title : post.title,
-            content : post.content,
-            profileImageUrl : post.author.profileImageUrl ?? '/assets/imgs/profile_icon.svg',
-            author : post.author.nickname,
-            date : new Date(post.createdAt).toLocaleString('ko-KR', {
-                year: 'numeric',
-                month: '2-digit',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: false
-            }),
-            views : post.viewCount ?? 0,
-            likes : post.likeCount ?? 0,
-            comments : post.commentCount ?? 0,
-        }));
-
-        appendPosts(processedPosts);
-
-        lastPostId = newLastPostId;
-        hasNext = newHasNext;
-
-        if (!hasNext) {
-            triggerElement.textContent = "모든 게시물을 불러왔습니다.";
-        } else {
-            triggerElement.textContent = "";
-        }
+        const response = await PostAPI.getPosts(cursor, { ...filters, sort }, {
+            signal: controller.signal,
+            onRevalidate: (fresh) => handlePageRevalidate(pageIndex, fresh),
+        });
+        const data = response.data;
+
+        loadedCursors.push(cursor);
+        renderPage(pageIndex, data.posts);
+        updatePaginationState(data);
     } catch (error) {
+        if (isAbortError(error)) {
+            // 새 요청으로 바뀐 경우는 새 요청이 표시를 갱신하므로, 페이지 이탈처럼 그냥 취소된 경우만 되돌림
+            if (postsRequestController === controller) triggerElement.textContent = "";
+            return;
+        }
         triggerElement.textContent = "게시물 불러오기에 실패했습니다.";
         console.error("게시물 불러오기 실패:", error);
+    } finally {
+        if (postsRequestController === controller) {
+            postsRequestController = null;
+            isLoading = false;
+        }
+    }
+}
+
+/**
+ * 검색 조건을 바꾸면 진행 중인 요청을 취소하고 첫 페이지부터 다시 불러옴
+ */
+function resetFeed() {
+    postsRequestController?.abort();
+    postsRequestController = null;
+    isLoading = false;
+    postListElement.innerHTML = "";
+    loadedCursors = [];
+    nextCursor = null;
+    hasNext = true;
+    fetchPosts();
+}
+
+/**
+ * 뒤로 가기로 돌아왔을 때 이전에 불러온 페이지와 스크롤 위치를 복원하기 위한 스냅샷
+ * 검색 조건별로 따로 저장
+ */
+function getFeedSnapshotKey() {
+    return `${FEED_SNAPSHOT_KEY}:${window.location.search}`;
+}
+
+function saveFeedSnapshot() {
+    const snapshot = {
+        cursors: loadedCursors,
+        scrollY: window.scrollY,
+    };
+    sessionStorage.setItem(getFeedSnapshotKey(), JSON.stringify(snapshot));
+}
+
+function readFeedSnapshot() {
+    try {
+        return JSON.parse(sessionStorage.getItem(getFeedSnapshotKey()) ?? "null");
+    } catch (error) {
+        return null;
+    }
+}
+
+function isBackForwardNavigation() {
+    const [navigation] = performance.getEntriesByType("navigation");
+    return navigation?.type === "back_forward";
+}
+
+async function restoreFeed(snapshot) {
+    isLoading = true;
+    triggerElement.textContent = "불러오는 중...";
+    try {
+        for (const [pageIndex, cursor] of snapshot.cursors.entries()) {
+            const response = await PostAPI.getPosts(cursor, { ...filters, sort }, {
+                onRevalidate: (fresh) => handlePageRevalidate(pageIndex, fresh),
+            });
+            loadedCursors.push(cursor);
+            renderPage(pageIndex, response.data.posts);
+            updatePaginationState(response.data);
+        }
+        window.scrollTo(0, snapshot.scrollY ?? 0);
+        return true;
+    } catch (error) {
+        console.error("게시물 목록 복원 실패:", error);
+        return false;
     } finally {
         isLoading = false;
     }
@@ -85,7 +294,28 @@ const observer = new IntersectionObserver(([entry]) => {
     }
 });
 
-observer.observe(triggerElement);
+window.addEventListener("pagehide", () => {
+    postsRequestController?.abort();
+    saveFeedSnapshot();
+});
+
+// 뒤로 가기 캐시(bfcache)에서 복원되면 pagehide에서 취소한 요청을 이어서 불러오도록 무한 스크롤 감시를 다시 시작
+window.addEventListener("pageshow", (event) => {
+    if (!event.persisted) return;
+    observer.unobserve(triggerElement);
+    observer.observe(triggerElement);
+});
+
+// 스크롤 위치는 게시물을 복원한 뒤 직접 맞춤
+history.scrollRestoration = "manual";
 
 await loadPosts();
-fetchPosts();
\ No newline at end of file
+fillSearchForm();
+
+const snapshot = isBackForwardNavigation() ? readFeedSnapshot() : null;
+if (!snapshot?.cursors?.length || !(await restoreFeed(snapshot))) {
+    resetFeed();
+}
+
+// 템플릿 로드와 초기 목록 요청(또는 복원) 이후에 무한 스크롤 감시 시작
+observer.observe(triggerElement);
\ No newline at end of file
@@ -1,6 +1,11 @@
 import { UserAPI } from "/js/api/users.js";
 import { ImageAPI } from "/js/api/images.js";
 import { setupProfileImageField, setProfileImagePreview } from "/js/ui/profileImagePreview.js";
+import { applyApiErrorToForm, clearFormErrors, setFieldError } from "/js/ui/formErrors.js";
+import { promptDialog } from "/js/ui/dialog.js";
+import { createFormValidator } from "/js/ui/formValidation.js";
+import { ImageProcessingError } from "/js/utils/imageProcessing.js";
+import { NICKNAME_RULES } from "/js/utils/userRules.js";
 
 /** 회원 정보 수정 API 호출 및 데이터 처리 시작 */
 
@@ -10,26 +15,40 @@ setupProfileImageField({
     inputId: "profileImage",
     previewId: "profileImagePreview",
     triggerId: "profileImageTrigger",
+    crop: true,
+});
+
+const validator = createFormValidator(userEditForm, {
+    nickname: NICKNAME_RULES,
 });
 
 userEditForm.addEventListener("submit", async (event) => {
     event.preventDefault();
+    clearFormErrors(userEditForm);
+    if (!(await validator.validate())) return;
+
     const formData = new FormData(userEditForm);
     const nickname = formData.get("nickname");
     const profileImageFile = formData.get("profileImage");
     let profileImageId = null;
-    if (profileImageFile && profileImageFile.size > 0) {
-        const imageUploadResponse = await ImageAPI.uploadProfileImage(profileImageFile);
-        profileImageId = imageUploadResponse.data.imageId ?? null;
-    }
     try {
+        if (profileImageFile && profileImageFile.size > 0) {
+            const imageUploadResponse = await ImageAPI.uploadProfileImage(profileImageFile);
+            profileImageId = imageUploadResponse.data.imageId ?? null;
+        }
         const updateResponse = await UserAPI.updateCurrentUser(nickname, profileImageId);
         localStorage.setItem("profileImageUrl", updateResponse.data.profileImageUrl ?? "");
         alert("회원 정보가 성공적으로 수정되었습니다.");
         window.location.href = "/posts";
     } catch (error) {
         console.error("회원 정보 수정 중 오류 발생:", error);
-        alert("회원 정보 수정에 실패했습니다. 다시 시도해주세요.");
+        if (error instanceof ImageProcessingError) {
+            setFieldError(userEditForm.querySelector("#profileImage"), error.message);
+            return;
+        }
+        if (!applyApiErrorToForm(userEditForm, error, { fieldMap: { profileImageId: "profileImage" } })) {
+            alert("회원 정보 수정에 실패했습니다. 다시 시도해주세요.");
+        }
     }
 });
 
@@ -42,6 +61,7 @@ async function populateUserData() {
         const response = await UserAPI.getCurrentUser();
         const user = response.data;
         document.getElementById("nickname").value = user.nickname;
+        validator.refresh();
         if (user.profileImageUrl) {
             setProfileImagePreview("profileImage", user.profileImageUrl);
         }
@@ -62,15 +82,21 @@ populateUserData();
 
 /** 회원 탈퇴 API 호출 및 데이터 처리 시작 */
 
+const USER_DELETE_CONFIRMATION = "탈퇴";
 const userDeleteButton = document.getElementById("user-delete-button");
 userDeleteButton.addEventListener("click", async () => {
+    // 실수로 누르는 경우를 막기 위해 확인 문구를 직접 입력해야 탈퇴할 수 있도록 함
+    const confirmation = await promptDialog({
+        title: "정말로 회원 탈퇴를 진행하시겠습니까?",
+        description: `탈퇴하면 계정 정보가 삭제되며 되돌릴 수 없습니다. 계속하려면 "${USER_DELETE_CONFIRMATION}"를 입력해주세요.`,
+        label: "확인 문구",
+        placeholder: USER_DELETE_CONFIRMATION,
+        expectedValue: USER_DELETE_CONFIRMATION,
+        confirmText: "회원 탈퇴",
+        danger: true,
+    });
+    if (confirmation === null) return;
 
-    /**
-     * 현재는 간단히 confirm 창으로만 확인하지만,
-     * 추후 모달 창이나 별도의 입력 폼을 통해 수정할 수 있도록 개선 예정
-     */
-
-    if (!confirm("정말로 회원 탈퇴를 진행하시겠습니까?")) return;
     try {
         await UserAPI.deleteCurrentUser();
         alert("회원 탈퇴가 완료되었습니다. 로그인 페이지로 이동합니다.");
@@ -1,22 +1,64 @@
 import { UserAPI } from "/js/api/users.js";
+import { applyApiErrorToForm, clearFormErrors } from "/js/ui/formErrors.js";
+import { createFormValidator } from "/js/ui/formValidation.js";
+import { attachPasswordStrength } from "/js/ui/passwordStrength.js";
+import { newPasswordRules, passwordConfirmRules } from "/js/utils/userRules.js";
 
 /** 비밀번호 수정 API 호출 및 데이터 처리 시작 */
 const passwordEditForm = document.getElementById("user-edit-password-form");
+const passwordSubmitButton = passwordEditForm.querySelector('button[type="submit"]');
+// 로그인 페이지에서 다시 로그인해야 하는 이유를 보여주기 위한 값 (userSignInApi.js 참고)
+const SIGN_IN_URL_AFTER_PASSWORD_CHANGE = "/users/signin?notice=password-changed";
+
+const validator = createFormValidator(passwordEditForm, {
+    // 현재 비밀번호는 정책이 바뀌기 전에 만든 비밀번호일 수 있으므로 입력 여부만 확인
+    currentPassword: { required: "현재 비밀번호를 입력해주세요.", trim: false },
+    newPassword: newPasswordRules("currentPassword"),
+    newPassword2: passwordConfirmRules("newPassword"),
+});
+
+attachPasswordStrength(passwordEditForm.querySelector("#newPassword"));
+
+/**
+ * 비밀번호가 바뀌었으므로 이 기기에서 로그아웃
+ * 다른 기기의 세션을 종료하는 API는 백엔드에 없음. 다른 세션은 서버가 비밀번호 변경(PATCH /users/me/password)을
+ * 처리할 때 끊어야 하며, 클라이언트에서는 확인할 수 없으므로 모든 기기에서 로그아웃되었다고 안내하지 않음
+ */
+async function signOutAfterPasswordChange() {
+    try {
+        // 서버가 비밀번호를 바꾸면서 이 세션도 끊었으면 401이 오므로 로그인 페이지로 바로 이동하지 않고 안내를 먼저 보여줌
+        await UserAPI.signOut({ redirectOnUnauthorized: false });
+    } catch (error) {
+        console.error("로그아웃 중 오류 발생:", error);
+    }
+}
 
 passwordEditForm.addEventListener("submit", async (event) => {
     event.preventDefault();
+    clearFormErrors(passwordEditForm);
+    if (!(await validator.validate())) return;
+
     const formData = new FormData(passwordEditForm);
+    const currentPassword = formData.get("currentPassword");
     const newPassword = formData.get("newPassword");
     const newPassword2 = formData.get("newPassword2");
 
+    passwordSubmitButton.disabled = true;
     try {
-        await UserAPI.updateCurrentUserPassword(newPassword, newPassword2);
-        alert("비밀번호가 성공적으로 수정되었습니다.");
-        window.location.href = "/users/signin";
+        await UserAPI.updateCurrentUserPassword(currentPassword, newPassword, newPassword2);
     } catch (error) {
         console.error("비밀번호 수정 중 오류 발생:", error);
-        alert("비밀번호 수정에 실패했습니다. 다시 시도해주세요.");
+        if (!applyApiErrorToForm(passwordEditForm, error)) {
+            alert("비밀번호 수정에 실패했습니다. 다시 시도해주세요.");
+        }
+        passwordSubmitButton.disabled = false;
+        return;
     }
+
+    await signOutAfterPasswordChange();
+    alert("비밀번호가 변경되었습니다.\n보안을 위해 로그아웃되었습니다. 새 비밀번호로 다시 로그인해주세요.");
+    // 뒤로 가기로 로그인이 필요한 페이지에 돌아오지 않도록 기록을 교체
+    window.location.replace(SIGN_IN_URL_AFTER_PASSWORD_CHANGE);
 });
 
-/** 비밀번호 수정 API 호출 및 데이터 처리 끝 */
\ No newline at end of file
+/** 비밀번호 수정 API 호출 및 데이터 처리 끝 */
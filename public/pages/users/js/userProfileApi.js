@@ -0,0 +1,273 @@
+import { UserAPI } from "/js/api/users.js";
+import { isAbortError } from "/js/api/base.js";
+import { ApiError } from "/js/api/errors.js";
+import { loadTemplate } from "/js/utils/template.js";
+import { buildCommentUrl } from "/js/utils/commentLink.js";
+import { formatDateTime, toPostItemViewModel } from "/js/utils/postView.js";
+
+const pathParts = window.location.pathname.split('/');
+const userIdFromPath = pathParts[pathParts.length - 1];
+
+const PAGE_SIZE = 10;
+const DEFAULT_TAB = "posts";
+
+const profileImageElement = document.querySelector(".user-profile-image");
+const nicknameElement = document.querySelector(".user-profile-nickname");
+const joinedElement = document.querySelector(".user-profile-joined");
+const tabListElement = document.querySelector(".user-profile-tabs");
+const tabButtons = Array.from(document.querySelectorAll(".user-profile-tab"));
+const statusElement = document.querySelector(".user-profile-status");
+const triggerElement = document.querySelector(".scroll-trigger");
+
+let profileUser = null;
+let postTemplate = null;
+let commentTemplate = null;
+
+/**
+ * 탭별 무한 스크롤 상태
+ * 탭을 오가도 이미 불러온 목록과 커서를 유지함
+ */
+const tabStates = {
+    posts: {
+        panel: document.getElementById("user-profile-panel-posts"),
+        lastId: null,
+        hasNext: true,
+        isLoading: false,
+        controller: null,
+        statusText: "",
+        emptyText: "작성한 게시물이 없습니다.",
+        doneText: "모든 게시물을 불러왔습니다.",
+    },
+    comments: {
+        panel: document.getElementById("user-profile-panel-comments"),
+        lastId: null,
+        hasNext: true,
+        isLoading: false,
+        controller: null,
+        statusText: "",
+        emptyText: "작성한 댓글이 없습니다.",
+        doneText: "모든 댓글을 불러왔습니다.",
+    },
+};
+
+/** 선택한 탭은 URL 쿼리(?tab=comments)에 저장하여 새로고침/뒤로 가기 후에도 유지 */
+let activeTab = readTabFromURL();
+
+function readTabFromURL() {
+    const value = new URLSearchParams(window.location.search).get("tab");
+    return Object.prototype.hasOwnProperty.call(tabStates, value) ? value : DEFAULT_TAB;
+}
+
+/** 프로필 API 호출 및 데이터 처리 시작 */
+
+function renderProfile(user) {
+    const nickname = user.nickname ?? "알 수 없는 사용자";
+    profileImageElement.src = user.profileImageUrl ?? '/assets/imgs/profile_icon.svg';
+    profileImageElement.alt = `${nickname}의 프로필 이미지`;
+    nicknameElement.textContent = nickname;
+    joinedElement.textContent = user.createdAt
+        ? `${formatDateTime(user.createdAt, { year: 'numeric', month: 'long', day: 'numeric' })} 가입`
+        : "";
+    document.title = `${nickname}님의 프로필`;
+}
+
+function renderMissingProfile(message) {
+    nicknameElement.textContent = message;
+    joinedElement.textContent = "";
+    tabListElement.hidden = true;
+    Object.values(tabStates).forEach((state) => {
+        state.panel.hidden = true;
+        state.hasNext = false;
+    });
+    statusElement.textContent = "";
+}
+
+async function fetchProfile(userId) {
+    try {
+        const response = await UserAPI.getUserById(userId);
+        profileUser = response.data;
+        renderProfile(profileUser);
+        return true;
+    } catch (error) {
+        console.error("사용자 정보 불러오기 실패:", error);
+        renderMissingProfile(error instanceof ApiError && error.status === 404
+            ? "존재하지 않는 사용자입니다."
+            : "사용자 정보를 불러오지 못했습니다.");
+        return false;
+    }
+}
+
+/** 프로필 API 호출 및 데이터 처리 끝 */
+
+/** 작성한 게시물/댓글 목록 시작 */
+
+/** 응답에 작성자 정보가 없으면 프로필 사용자를 작성자로 표시 */
+function toProfilePostViewModel(post) {
+    return toPostItemViewModel(post, {
+        fallbackAuthor : { ...profileUser, userId : profileUser?.userId ?? userIdFromPath },
+    });
+}
+
+function toCommentViewModel(comment) {
+    return {
+        href : buildCommentUrl({
+            postId : comment.postId,
+            commentId : comment.commentId,
+            parentCommentId : comment.parentCommentId,
+            rootCommentId : comment.rootCommentId,
+        }),
+        isReply : comment.parentCommentId !== undefined && comment.parentCommentId !== null,
+        postTitle : comment.postTitle ?? "삭제된 게시물",
+        content : comment.content,
+        date : formatDateTime(comment.createdAt),
+    };
+}
+
+/** 탭마다 요청 API와 응답 형태가 다르므로 공통 형태({ lastId, hasNext, html })로 변환 */
+const tabLoaders = {
+    posts: async (lastId, signal) => {
+        postTemplate ??= await loadTemplate("/pages/posts/components/postItem.html");
+        const response = await UserAPI.getUserPosts(userIdFromPath, lastId, PAGE_SIZE, { signal });
+        const { posts = [], lastPostId, hasNext } = response.data;
+        return {
+            lastId : lastPostId,
+            hasNext,
+            html : posts.map((post) => postTemplate(toProfilePostViewModel(post))).join(""),
+        };
+    },
+    comments: async (lastId, signal) => {
+        commentTemplate ??= await loadTemplate("/pages/users/components/userCommentItem.html");
+        const response = await UserAPI.getUserComments(userIdFromPath, lastId, PAGE_SIZE, { signal });
+        const { comments = [], lastCommentId, hasNext } = response.data;
+        return {
+            lastId : lastCommentId,
+            hasNext,
+            html : comments.map((comment) => commentTemplate(toCommentViewModel(comment))).join(""),
+        };
+    },
+};
+
+function setTabStatus(tab, text) {
+    tabStates[tab].statusText = text;
+    if (tab === activeTab) statusElement.textContent = text;
+}
+
+async function fetchTabPage(tab) {
+    const state = tabStates[tab];
+    if (!state.hasNext || state.isLoading) return;
+
+    const controller = new AbortController();
+    state.controller = controller;
+    state.isLoading = true;
+    setTabStatus(tab, "불러오는 중...");
+
+    try {
+        const { lastId, hasNext, html } = await tabLoaders[tab](state.lastId, controller.signal);
+        state.panel.insertAdjacentHTML("beforeend", html);
+        state.lastId = lastId;
+        state.hasNext = Boolean(hasNext);
+
+        if (state.hasNext) {
+            setTabStatus(tab, "");
+        } else {
+            setTabStatus(tab, state.panel.childElementCount === 0 ? state.emptyText : state.doneText);
+        }
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("작성한 글 불러오기 실패:", error);
+        setTabStatus(tab, "목록을 불러오지 못했습니다.");
+        return;
+    } finally {
+        if (state.controller === controller) {
+            state.controller = null;
+            state.isLoading = false;
+        }
+    }
+
+    // 첫 페이지가 화면을 다 채우지 못하면 트리거가 계속 보이므로 이어서 불러옴
+    if (tab === activeTab && state.hasNext && isTriggerVisible()) {
+        fetchTabPage(tab);
+    }
+}
+
+function isTriggerVisible() {
+    const rect = triggerElement.getBoundingClientRect();
+    return rect.top < window.innerHeight && rect.bottom >= 0;
+}
+
+/** 작성한 게시물/댓글 목록 끝 */
+
+/** 탭 시작 */
+
+function selectTab(tab, { focus = false } = {}) {
+    activeTab = tab;
+    tabButtons.forEach((button) => {
+        const isSelected = button.dataset.tab === tab;
+        button.setAttribute("aria-selected", String(isSelected));
+        button.tabIndex = isSelected ? 0 : -1;
+        if (isSelected && focus) button.focus();
+    });
+    Object.entries(tabStates).forEach(([key, state]) => {
+        state.panel.hidden = key !== tab;
+    });
+    statusElement.textContent = tabStates[tab].statusText;
+
+    const url = new URL(window.location.href);
+    if (tab === DEFAULT_TAB) {
+        url.searchParams.delete("tab");
+    } else {
+        url.searchParams.set("tab", tab);
+    }
+    history.replaceState(history.state, "", `${url.pathname}${url.search}`);
+
+    fetchTabPage(tab);
+}
+
+tabListElement.addEventListener("click", (event) => {
+    const button = event.target.closest(".user-profile-tab");
+    if (!button || button.dataset.tab === activeTab) return;
+    selectTab(button.dataset.tab);
+});
+
+// 방향키로 탭 이동 (WAI-ARIA 탭 패턴)
+tabListElement.addEventListener("keydown", (event) => {
+    const currentIndex = tabButtons.findIndex((button) => button.dataset.tab === activeTab);
+    let nextIndex = null;
+
+    switch (event.key) {
+        case "ArrowRight":
+            nextIndex = (currentIndex + 1) % tabButtons.length;
+            break;
+        case "ArrowLeft":
+            nextIndex = (currentIndex - 1 + tabButtons.length) % tabButtons.length;
+            break;
+        case "Home":
+            nextIndex = 0;
+            break;
+        case "End":
+            nextIndex = tabButtons.length - 1;
+            break;
+        default:
+            return;
+    }
+
+    event.preventDefault();
+    selectTab(tabButtons[nextIndex].dataset.tab, { focus: true });
+});
+
+/** 탭 끝 */
+
+const observer = new IntersectionObserver(([entry]) => {
+    if (entry.isIntersecting) {
+        fetchTabPage(activeTab);
+    }
+});
+
+window.addEventListener("pagehide", () => {
+    Object.values(tabStates).forEach((state) => state.controller?.abort());
+});
+
+if (await fetchProfile(userIdFromPath)) {
+    selectTab(activeTab);
+    observer.observe(triggerElement);
+}
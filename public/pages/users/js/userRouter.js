@@ -18,6 +18,12 @@ router.get('/edit/password', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'user-edit-password.html'));
 });
 
+router.get('/:id', (req, res, next) => {
+    const id = req.params.id;
+    if (!/^\d+$/.test(id)) return next();
+    res.sendFile(path.join(__dirname, '..', 'user-profile.html'));
+}); // 정규식으로 숫자만 허용
+
 // 로그아웃 라우트 추가 (예: /users/logout)
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,42 @@
 import { UserAPI } from "/js/api/users.js";
+import { applyApiErrorToForm, clearFormErrors } from "/js/ui/formErrors.js";
+import { createFormValidator } from "/js/ui/formValidation.js";
+import { getReturnTo, withReturnTo } from "/js/utils/returnTo.js";
+import { EMAIL_RULES } from "/js/utils/userRules.js";
 
 /** 로그인 API 호출 및 데이터 처리 시작 */
 const signInForm = document.getElementById("sign-in-form");
+const returnTo = getReturnTo();
+
+// 다른 페이지에서 로그아웃시킨 뒤 이동한 경우 이유를 안내
+const SIGN_IN_NOTICES = {
+    "password-changed": "비밀번호가 변경되어 로그아웃되었습니다. 새 비밀번호로 다시 로그인해주세요.",
+};
+
+const noticeElement = document.querySelector(".auth-notice");
+const noticeMessage = SIGN_IN_NOTICES[new URLSearchParams(window.location.search).get("notice")];
+if (noticeElement && noticeMessage) {
+    noticeElement.textContent = noticeMessage;
+    noticeElement.hidden = false;
+}
+
+// 회원가입을 거쳐 로그인하더라도 원래 페이지로 돌아갈 수 있도록 returnTo 유지
+const signUpLink = signInForm.querySelector('a[href="/users/signup"]');
+if (signUpLink && returnTo) {
+    signUpLink.href = withReturnTo("/users/signup", returnTo);
+}
+
+// 로그인에서는 비밀번호 정책을 검사하지 않음 (정책이 바뀌기 전에 가입한 사용자도 로그인할 수 있도록)
+const validator = createFormValidator(signInForm, {
+    email: EMAIL_RULES,
+    password: { required: "비밀번호를 입력해주세요.", trim: false },
+});
 
 signInForm.addEventListener("submit", async (event) => {
     event.preventDefault();
+    clearFormErrors(signInForm);
+    if (!(await validator.validate())) return;
+
     const formData = new FormData(signInForm);
     const email = formData.get("email");
     const password = formData.get("password");
@@ -13,11 +45,18 @@ signInForm.addEventListener("submit", async (event) => {
         const response = await UserAPI.signIn(email, password);
         const data = response.data;
         localStorage.setItem("profileImageUrl", data.profileImageUrl || "");
-        alert("로그인에 성공했습니다. 메인 페이지로 이동합니다.");
-        window.location.href = "/posts";
+        if (returnTo) {
+            alert("로그인에 성공했습니다. 이전 페이지로 이동합니다.");
+            window.location.replace(returnTo);
+        } else {
+            alert("로그인에 성공했습니다. 메인 페이지로 이동합니다.");
+            window.location.href = "/posts";
+        }
     } catch (error) {
         console.error("로그인 중 오류 발생:", error);
-        alert("로그인에 실패했습니다. 이메일과 비밀번호를 확인해주세요.");
+        if (!applyApiErrorToForm(signInForm, error)) {
+            alert("로그인에 실패했습니다. 이메일과 비밀번호를 확인해주세요.");
+        }
     }
 });
 
@@ -1,54 +1,185 @@
 import { UserAPI } from "/js/api/users.js";
 import { ImageAPI } from "/js/api/images.js";
+import { ApiError } from "/js/api/errors.js";
 import { setupProfileImageField } from "/js/ui/profileImagePreview.js";
+import { applyApiErrorToForm, clearFormErrors, clearFieldError, setFieldError } from "/js/ui/formErrors.js";
+import { createFormValidator } from "/js/ui/formValidation.js";
+import { attachPasswordStrength } from "/js/ui/passwordStrength.js";
+import { ImageProcessingError } from "/js/utils/imageProcessing.js";
+import { getReturnTo, withReturnTo } from "/js/utils/returnTo.js";
+import { EMAIL_RULES, NICKNAME_RULES, PASSWORD_RULES, passwordConfirmRules } from "/js/utils/userRules.js";
 
-let profileImageId = null;
+/** 프로필 이미지 시작 */
 
+/**
+ * 선택한 이미지는 미리보기만 보여주고 회원가입을 제출할 때 업로드함
+ * (가입을 그만두거나 이미지를 여러 번 바꿔도 서버에 쓰지 않는 이미지가 남지 않도록)
+ *
+ * 가입이 실패한 뒤 이미지를 바꾸거나 가입을 그만두면 이미 업로드한 이미지는 쓰이지 않게 되지만,
+ * 백엔드에 업로드한 이미지를 삭제하는 API가 없어서 클라이언트에서는 지울 수 없음
+ * 참조만 버리므로 회원과 연결되지 않은 이미지는 서버에서 정리해야 함
+ */
 const imageInput = document.getElementById("profileImage");
+let selectedProfileImage = null;
+// 회원가입이 실패해서 다시 제출할 때 같은 파일이면 이미 업로드한 이미지를 다시 사용
+let uploadedProfileImage = null;
 
-if (imageInput) {
-    imageInput.addEventListener("change", async (event) => {
-        const file = event.target.files[0];
-        if (!file) {return;}
-
-        try {
-            if (!file.type.startsWith("image/")) {
-                throw new Error("이미지 파일만 업로드할 수 있습니다.");
-            }
-            
-            const response = await ImageAPI.uploadProfileImage(file);
-
-            profileImageId = response.data.imageId;
-        } catch (error) {
-            alert("프로필 이미지 업로드에 실패했습니다. 다시 시도해주세요.");
-        }
-    });
+/**
+ * 가입에 쓰지 않게 된 업로드 이미지의 참조를 버림
+ * 삭제 API가 없으므로 서버의 이미지는 남음 (위 설명 참고)
+ */
+function releaseUploadedProfileImage() {
+    uploadedProfileImage = null;
+}
+
+/** 자르기까지 끝난 프로필 이미지 선택 (취소하면 null) */
+function selectProfileImage(file) {
+    selectedProfileImage = file;
+    if (uploadedProfileImage && uploadedProfileImage.file !== file) releaseUploadedProfileImage();
+    clearFieldError(imageInput);
+}
+
+/**
+ * 선택한 프로필 이미지를 업로드하고 이미지 ID 반환, 선택한 이미지가 없으면 null
+ * @returns {Promise<number | null>}
+ */
+async function uploadSelectedProfileImage() {
+    if (!selectedProfileImage) return null;
+    if (uploadedProfileImage?.file === selectedProfileImage) return uploadedProfileImage.imageId;
+
+    const file = selectedProfileImage;
+    const response = await ImageAPI.uploadProfileImage(file);
+    uploadedProfileImage = { file, imageId: response.data.imageId };
+    return uploadedProfileImage.imageId;
+}
+
+/** 업로드 실패 이유를 이미지 필드에 표시하고 필드가 보이도록 스크롤 */
+function reportProfileImageError(error) {
+    // 이미지 형식/용량 문제는 이유를 그대로 표시
+    const message = error instanceof ImageProcessingError
+        ? error.message
+        : "프로필 이미지 업로드에 실패했습니다. 다시 시도해주세요.";
+    setFieldError(imageInput, message);
+    imageInput.closest(".form-group")?.scrollIntoView({ behavior: "smooth", block: "center" });
 }
 
+/** 프로필 이미지 끝 */
+
 /** 회원가입 API 호출 및 데이터 처리 시작 */
 
 const signUpForm = document.getElementById("sign-up-form");
+const signInUrl = withReturnTo("/users/signin", getReturnTo());
+
+const signInLink = signUpForm.querySelector('a[href="/users/signin"]');
+if (signInLink) {
+    signInLink.href = signInUrl;
+}
 setupProfileImageField({
     inputId: "profileImage",
     previewId: "profileImagePreview",
     triggerId: "profileImageTrigger",
+    crop: true,
+    onSelect: selectProfileImage,
+});
+
+/** 이메일/닉네임 중복 확인 시작 */
+
+/**
+ * 중복 확인 응답 해석
+ * data가 true/false이거나 { exists } 형태인 응답과, 이미 사용 중이면 409로 응답하는 경우를 모두 처리
+ */
+async function isAlreadyTaken(request) {
+    try {
+        const response = await request;
+        const data = response?.data;
+        return typeof data === "boolean" ? data : Boolean(data?.exists);
+    } catch (error) {
+        if (error instanceof ApiError && error.status === 409) return true;
+        throw error;
+    }
+}
+
+const EMAIL_AVAILABILITY_RULES = {
+    ...EMAIL_RULES,
+    pendingMessage: "이메일 사용 여부를 확인하는 중입니다...",
+    successMessage: "사용 가능한 이메일입니다.",
+    failedMessage: "이메일 사용 여부를 확인하지 못했습니다. 가입할 때 다시 확인합니다.",
+    validate: async (email, { signal }) => (
+        await isAlreadyTaken(UserAPI.checkEmailExists(email, { signal })) ? "이미 사용 중인 이메일입니다." : null
+    ),
+};
+
+const NICKNAME_AVAILABILITY_RULES = {
+    ...NICKNAME_RULES,
+    pendingMessage: "닉네임 사용 여부를 확인하는 중입니다...",
+    successMessage: "사용 가능한 닉네임입니다.",
+    failedMessage: "닉네임 사용 여부를 확인하지 못했습니다. 가입할 때 다시 확인합니다.",
+    validate: async (nickname, { signal }) => (
+        await isAlreadyTaken(UserAPI.checkNicknameExists(nickname, { signal })) ? "이미 사용 중인 닉네임입니다." : null
+    ),
+};
+
+/** 이메일/닉네임 중복 확인 끝 */
+
+const signUpSubmitButton = signUpForm.querySelector('button[type="submit"]');
+let isSubmitting = false;
+
+// 모든 항목이 유효할 때만 제출 버튼 활성화
+const validator = createFormValidator(signUpForm, {
+    email: EMAIL_AVAILABILITY_RULES,
+    password: PASSWORD_RULES,
+    password2: passwordConfirmRules("password"),
+    nickname: NICKNAME_AVAILABILITY_RULES,
+}, {
+    onValidityChange: (isValid) => {
+        signUpSubmitButton.disabled = !isValid || isSubmitting;
+    },
 });
 
+attachPasswordStrength(signUpForm.querySelector("#password"));
+
 signUpForm.addEventListener("submit", async (event) => {
     event.preventDefault();
+    clearFormErrors(signUpForm);
+    if (isSubmitting || !(await validator.validate())) return;
+
     const formData = new FormData(signUpForm);
     const nickname = formData.get("nickname");
     const email = formData.get("email");
     const password = formData.get("password");
     const password2 = formData.get("password2");
 
+    isSubmitting = true;
+    signUpSubmitButton.disabled = true;
+    const finishSubmit = () => {
+        isSubmitting = false;
+        signUpSubmitButton.disabled = !validator.isValid();
+    };
+
+    let profileImageId = null;
+    try {
+        profileImageId = await uploadSelectedProfileImage();
+    } catch (error) {
+        console.error("프로필 이미지 업로드 중 오류 발생:", error);
+        reportProfileImageError(error);
+        finishSubmit();
+        return;
+    }
+
     try {
         await UserAPI.signUp(email, password, password2, nickname, profileImageId);
         alert("회원가입이 완료되었습니다. 로그인 페이지로 이동합니다.");
-        window.location.href = "/users/signin";
+        window.location.href = signInUrl;
     } catch (error) {
         console.error("회원가입 중 오류 발생:", error);
-        alert("회원가입에 실패했습니다. 다시 시도해주세요.");
+        // 서버가 이미지를 받아들이지 않은 경우(만료 등) 다음 제출에서 다시 업로드
+        if (error instanceof ApiError && error.getFieldError("profileImageId")) {
+            releaseUploadedProfileImage();
+        }
+        if (!applyApiErrorToForm(signUpForm, error, { fieldMap: { profileImageId: "profileImage" } })) {
+            alert("회원가입에 실패했습니다. 다시 시도해주세요.");
+        }
+        finishSubmit();
     }
 });
 